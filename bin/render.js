@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/* Headless renderer: steps a state hash on the CPU and writes PNG frames, no GPU required.
+
+Usage:
+
+	npm run render -- '#<encoded state>' [--width 256] [--height 256] [--frames 1] [--seed <n>] [--out .]
+
+The hash is the same one the app keeps in the URL (a full URL works too). Files are named like the
+Enter-key save, `ca-<encoded>.png`, and carry the full state in a PNG text chunk, so they can be dropped
+back into the app. Frame 0 is the starting grid and each later frame is one more step; when more than one
+frame is rendered, the frame number goes before the extension: `ca-<encoded>.0000.png`. Hex-grid states
+draw each cell about 4 pixels wide, like the app does. The initial grid comes from the hash's grid seed
+unless --seed is given and is laid out like the app's seed texture, so at the same size as the app's canvas
+the frames match what the link shows, hex grids included. */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+	MAX_ENCODED_STATE_LENGTH,
+	PNG_STATE_KEYWORD,
+	applyColorsFromPalette,
+	encodeState,
+	generateRingRadii,
+	getColorsForUniform,
+	getStateSnapshot,
+	restoreStateFromUrl,
+} from '../src/state.js';
+import { createStepper, getRandomGridData } from '../src/simulate.js';
+import { getHexCellAt, getHexGridSize } from '../src/hex.js';
+import { addPngText, encodePng } from '../src/png.js';
+import { createRandom } from '../src/util.js';
+
+function fail(message) {
+	console.error(`render: ${message}`);
+	process.exit(1);
+}
+
+function parsePositiveInt(name, value) {
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 1) fail(`--${name} must be a positive integer, got “${value}”`);
+	return n;
+}
+
+const { values, positionals } = parseArgs({
+	allowPositionals: true,
+	options: {
+		width: { type: 'string', default: '256' },
+		height: { type: 'string', default: '256' },
+		frames: { type: 'string', default: '1' },
+		seed: { type: 'string' },
+		out: { type: 'string', default: '.' },
+	},
+});
+
+if (positionals.length !== 1) fail('expected exactly one state hash, e.g. render "#eNpj…"');
+const width = parsePositiveInt('width', values.width);
+const height = parsePositiveInt('height', values.height);
+const frames = parsePositiveInt('frames', values.frames);
+
+const hash = positionals[0].split('#').pop();
+const didRestore = restoreStateFromUrl(hash, () => {
+	generateRingRadii();
+	applyColorsFromPalette();
+});
+if (!didRestore) fail('could not restore state from hash');
+
+const encoded = encodeState();
+let basename = `ca-${encoded}`;
+if (encoded.length > MAX_ENCODED_STATE_LENGTH) {
+	console.warn(`render: encoded state exceeded ${MAX_ENCODED_STATE_LENGTH} characters; naming files ca-export.`);
+	basename = 'ca-export';
+}
+
+const snapshot = getStateSnapshot();
+const seed = values.seed === undefined ? snapshot.gridSeed : Number(values.seed);
+if (!Number.isInteger(seed)) fail(`--seed must be an integer, got “${values.seed}”`);
+const palette = getColorsForUniform().map(rgb => rgb.map(x => Math.round(x * 255)));
+const [gridWidth, gridHeight] = snapshot.hexGrid ? getHexGridSize(width, height) : [width, height];
+const step = createStepper(snapshot, gridWidth, gridHeight);
+// The app seeds a texture the size of the whole canvas and hex cells take the texel at their own column
+// and row, so draw the seed at full size and pick the hex grid out of it the same way.
+const seedData = getRandomGridData(width, height, snapshot.nStates, createRandom(seed));
+let grid = seedData;
+if (snapshot.hexGrid) {
+	grid = new Uint8Array(gridWidth * gridHeight);
+	// A canvas narrower than the smallest hex grid reads 0 past its edge, as texelFetch does.
+	for (let row = 0; row < Math.min(gridHeight, height); row++) {
+		for (let col = 0; col < Math.min(gridWidth, width); col++) grid[row * gridWidth + col] = seedData[row * width + col];
+	}
+}
+let nextGrid = new Uint8Array(grid.length);
+const rgb = new Uint8Array(width * height * 3);
+
+// Index into the grid of each image pixel, top row first.
+const pixelCells = new Uint32Array(width * height);
+for (let y = 0; y < height; y++) {
+	for (let x = 0; x < width; x++) {
+		// Texture row 0 is the bottom of the canvas, so flip rows to match the in-app export.
+		const v = (height - 1 - y + 0.5) / height;
+		if (snapshot.hexGrid) {
+			const [col, row] = getHexCellAt((x + 0.5) / width, v, gridWidth, gridHeight);
+			pixelCells[y * width + x] = row * gridWidth + col;
+		} else {
+			pixelCells[y * width + x] = (height - 1 - y) * width + x;
+		}
+	}
+}
+
+mkdirSync(values.out, { recursive: true });
+const frameDigits = Math.max(4, String(frames - 1).length);
+for (let frame = 0; frame < frames; frame++) {
+	if (frame > 0) {
+		step(grid, nextGrid);
+		[grid, nextGrid] = [nextGrid, grid];
+	}
+
+	for (let i = 0; i < pixelCells.length; i++) rgb.set(palette[grid[pixelCells[i]]], i * 3);
+	const suffix = frames > 1 ? `.${String(frame).padStart(frameDigits, '0')}` : '';
+	const filename = join(values.out, `${basename}${suffix}.png`);
+	writeFileSync(filename, addPngText(encodePng(rgb, width, height), PNG_STATE_KEYWORD, encoded));
+	console.log(filename);
+}
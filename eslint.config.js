@@ -10,4 +10,10 @@ export default [
 			globals: { ...globals.browser },
 		},
 	},
+	{
+		files: ['bin/**/*.js'],
+		languageOptions: {
+			globals: { ...globals.node },
+		},
+	},
 ];
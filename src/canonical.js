@@ -0,0 +1,259 @@
+/* A canonical form for rulesets, so rules that behave the same can be recognized as duplicates.
+
+Three things make equivalent rulesets encode differently:
+
+- State labels: relabeling states, with their weights, probabilities, trigger states and colors moving
+  along, and rule targets renamed to match, gives the same automaton. The canonical form orders
+  states by their weight and probability, splits ties by how the rules treat each state, and among states
+  that still tie, picks the order whose rules sort first. Exact sum and State count only: Sum order breaks ties between equal sums by state label, and
+  Generations gives states fixed roles, so their labels are kept.
+- Unreachable rules: entries for sums no neighborhood can add up to never fire, so they are cleared.
+- Trailing no-op entries are left out of the comparison key.
+
+Settings that only shape the next random ruleset (cell inertia, the weight distribution), the palette and
+the grid seed don't change what the rules do, so they're not part of the key. */
+
+import {
+	GENERATIONS_TRANSITION_TYPE,
+	FIXED_WRAP_BEHAVIOUR,
+	STATE_COUNT_TRANSITION_TYPE,
+	TRANSITION_TYPES,
+	buildNeighborKernel,
+	getNeighborSumWeights,
+	hasStochasticRules,
+	isDecayState,
+} from './state.js';
+
+// Tied states are tried in every order up to this many orderings; past it, they keep their current order.
+const MAX_CANONICAL_ORDERINGS = 5040;
+// Past this many distinct partial sums, every rule counts as reachable.
+const MAX_REACHABLE_SUMS = 65536;
+
+function isRelabelable(snapshot) {
+	return snapshot.transitionType === 0 || snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+}
+
+function getTriggerStates(snapshot) {
+	return Array.from({ length: snapshot.nStates }, (_, s) => snapshot.triggerStates?.[s] ?? 1);
+}
+
+function getProbabilities(snapshot) {
+	return Array.from({ length: snapshot.nStates }, (_, s) =>
+		hasStochasticRules(snapshot) ? (snapshot.transitionProbabilities?.[s] ?? 1) : 1,
+	);
+}
+
+/**
+ * Which rule indices a neighbor sum can land on, or null when there are too many possible sums to tell.
+ * Sums are accumulated in float32 in kernel order, like the stepper and shader, so the floor of each sum
+ * comes out the same. Exact sum, Generations and State count only; Sum order returns null.
+ */
+function getReachableRuleIndices(snapshot) {
+	if (snapshot.transitionType === 1) return null;
+	const isStateCount = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+	// A state count adds a neighbor's kernel weight when it's in the trigger state, as if it weighed 1.
+	const stateWeights = [...new Set(isStateCount ? [0, 1] : getNeighborSumWeights(snapshot))].map(Math.fround);
+	const { data, count } = buildNeighborKernel(snapshot);
+	let sums = new Set([0]);
+	for (let i = 0; i < count; i++) {
+		const kernelWeight = data[i * 4 + 2];
+		const next = new Set();
+		for (const sum of sums) {
+			for (const weight of stateWeights) next.add(Math.fround(sum + Math.fround(kernelWeight * weight)));
+		}
+		if (next.size > MAX_REACHABLE_SUMS) return null;
+		sums = next;
+	}
+	const reachable = new Array(snapshot.ruleCount).fill(false);
+	for (const sum of sums) {
+		const ruleIndex = Math.floor(sum) - snapshot.minNeighborWeight;
+		reachable[Math.min(snapshot.ruleCount - 1, Math.max(0, ruleIndex))] = true;
+	}
+	return reachable;
+}
+
+// The rule table each state actually uses: rows for decay states are never read, so they're emptied.
+function getRowsPerState(snapshot, reachable) {
+	return Array.from({ length: snapshot.nStates }, (_, state) => {
+		const row = Array.from(snapshot.rulesByState[snapshot.isSemitotalistic ? state : 0]).slice(0, snapshot.ruleCount);
+		if (isDecayState(state, snapshot)) return row.fill(0);
+		return reachable ? row.map((rule, i) => (reachable[i] ? rule : 0)) : row;
+	});
+}
+
+// Each distinct value's rank among the sorted distinct values, which doesn't depend on state labels.
+function rankValues(values) {
+	const sorted = [...new Set(values)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+	return values.map(value => sorted.indexOf(value));
+}
+
+/**
+ * Split states that tie on `invariants` by how the rules treat them, like color refinement on a graph:
+ * each round, a state's class also takes in the classes its rules lead to, the classes whose rules lead
+ * to it (and at which rule indices), and the class of its trigger state. Stops when no class splits.
+ */
+function refineInvariants(snapshot, rows, invariants) {
+	const { nStates } = snapshot;
+	const triggerStates = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE ? getTriggerStates(snapshot) : null;
+	const borderState = snapshot.wrapBehaviour === FIXED_WRAP_BEHAVIOUR ? (snapshot.borderState ?? 0) : -1;
+	let classes = rankValues(invariants);
+	for (let round = 0; round < nStates; round++) {
+		const sources = Array.from({ length: nStates }, () => []);
+		rows.forEach((row, state) =>
+			row.forEach((rule, i) => {
+				if (rule !== 0) sources[(rule - 1) % nStates].push(`${classes[state]}:${i}`);
+			}),
+		);
+		const signatures = classes.map((stateClass, state) =>
+			[
+				stateClass,
+				state === borderState,
+				triggerStates ? classes[triggerStates[state]] : '',
+				rows[state].map(rule => (rule === 0 ? '' : classes[(rule - 1) % nStates])).join(),
+				sources[state].sort().join(),
+			].join('|'),
+		);
+		const next = rankValues(signatures);
+		if (new Set(next).size === new Set(classes).size) break;
+		classes = next;
+	}
+	return classes;
+}
+
+// Orderings of the states: sorted by `invariants`, with each run of ties in every order (up to the limit).
+function getCandidateOrderings(invariants) {
+	const sorted = invariants
+		.map((invariant, state) => ({ invariant, state }))
+		.sort((a, b) => (a.invariant < b.invariant ? -1 : a.invariant > b.invariant ? 1 : a.state - b.state));
+	const groups = [];
+	for (const { invariant, state } of sorted) {
+		if (groups.length > 0 && groups.at(-1).invariant === invariant) groups.at(-1).states.push(state);
+		else groups.push({ invariant, states: [state] });
+	}
+	let orderings = [[]];
+	for (const { states } of groups) {
+		if (orderings.length * factorial(states.length) > MAX_CANONICAL_ORDERINGS) {
+			orderings = orderings.map(ordering => [...ordering, ...states]);
+			continue;
+		}
+		const groupOrders = permutations(states);
+		orderings = orderings.flatMap(ordering => groupOrders.map(order => [...ordering, ...order]));
+	}
+	return orderings;
+}
+
+function factorial(n) {
+	return n <= 1 ? 1 : n * factorial(n - 1);
+}
+
+function permutations(items) {
+	if (items.length <= 1) return [items];
+	return items.flatMap((item, i) =>
+		permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]),
+	);
+}
+
+// `order[newState]` is the old state; rule targets and trigger states are renamed to match.
+function relabel(snapshot, rows, order) {
+	const newLabel = [];
+	order.forEach((oldState, newState) => (newLabel[oldState] = newState));
+	const weights = order.map(state => snapshot.weights[state]);
+	const triggerStates = getTriggerStates(snapshot);
+	const probabilities = getProbabilities(snapshot);
+	return {
+		weights,
+		colorOrder: order.map(state => snapshot.colorOrder?.[state] ?? state),
+		colors: order.map(state => snapshot.colors?.[state]).filter(Boolean),
+		rows: order.map(state => rows[state].map(rule => (rule === 0 ? 0 : newLabel[(rule - 1) % snapshot.nStates] + 1))),
+		triggerStates: order.map(state => newLabel[triggerStates[state]]),
+		transitionProbabilities: order.map(state => probabilities[state]),
+		borderState: newLabel[snapshot.borderState ?? 0],
+	};
+}
+
+// Whether the states that read rules all read the same table.
+function isSharedTable(snapshot, rows) {
+	const tables = rows.filter((_, state) => !isDecayState(state, snapshot)).map(row => row.join());
+	return tables.every(table => table === tables[0]);
+}
+
+function trimTrailingNoOps(row) {
+	let end = row.length;
+	while (end > 0 && row[end - 1] === 0) end--;
+	return row.slice(0, end);
+}
+
+// Everything that changes what the rules do, with the state-dependent parts already relabeled.
+function getKeyFields(snapshot, labeled) {
+	const isStateCount = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+	const isSemitotalistic = !isSharedTable(snapshot, labeled.rows);
+	const { data, count } = buildNeighborKernel(snapshot);
+	return {
+		nStates: snapshot.nStates,
+		transitionType: TRANSITION_TYPES[snapshot.transitionType],
+		sumOrderTopK: snapshot.transitionType === 1 ? snapshot.sumOrderTopK : null,
+		aliveStateCount: snapshot.transitionType === GENERATIONS_TRANSITION_TYPE ? snapshot.aliveStateCount : null,
+		// State count ignores the weights.
+		weights: isStateCount ? null : getNeighborSumWeights({ ...snapshot, weights: labeled.weights }),
+		triggerStates: isStateCount ? labeled.triggerStates : null,
+		transitionProbabilities: labeled.transitionProbabilities,
+		hexGrid: !!snapshot.hexGrid,
+		kernel: Array.from(data.subarray(0, count * 4)),
+		wrapBehaviour: snapshot.wrapBehaviour,
+		borderState: snapshot.wrapBehaviour === FIXED_WRAP_BEHAVIOUR ? labeled.borderState : null,
+		minNeighborWeight: snapshot.minNeighborWeight,
+		ruleCount: snapshot.ruleCount,
+		rules: (isSemitotalistic ? labeled.rows : [labeled.rows[0]]).map(trimTrailingNoOps),
+	};
+}
+
+function canonicalize(snapshot) {
+	const rows = getRowsPerState(snapshot, getReachableRuleIndices(snapshot));
+	const identity = Array.from({ length: snapshot.nStates }, (_, state) => state);
+	const probabilities = getProbabilities(snapshot);
+	// State count ignores the weights, so only probabilities tell states apart up front.
+	const weights = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE ? [] : snapshot.weights;
+	const orderings = isRelabelable(snapshot)
+		? getCandidateOrderings(
+				refineInvariants(
+					snapshot,
+					rows,
+					identity.map(state => `${weights[state] ?? 0} ${probabilities[state]}`),
+				),
+			)
+		: [identity];
+	let best = null;
+	for (const order of orderings) {
+		const labeled = relabel(snapshot, rows, order);
+		const key = JSON.stringify(getKeyFields(snapshot, labeled));
+		if (!best || key < best.key) best = { key, labeled };
+	}
+	return best;
+}
+
+/** A string that's the same for any two snapshots the canonical form considers equivalent. */
+export function getCanonicalKey(snapshot) {
+	return canonicalize(snapshot).key;
+}
+
+/**
+ * `snapshot` rewritten in canonical form: states reordered, unreachable and unused rules cleared, and a
+ * semitotalistic table whose rows all match made totalistic. Colors follow the new state labels.
+ */
+export function canonicalizeSnapshot(snapshot) {
+	const { labeled } = canonicalize(snapshot);
+	// Generations keeps a table per state even when they match; see getIsSemitotalistic().
+	const isSemitotalistic =
+		snapshot.transitionType === GENERATIONS_TRANSITION_TYPE || !isSharedTable(snapshot, labeled.rows);
+	return {
+		...snapshot,
+		weights: labeled.weights,
+		triggerStates: labeled.triggerStates,
+		transitionProbabilities: labeled.transitionProbabilities,
+		borderState: labeled.borderState,
+		colorOrder: labeled.colorOrder,
+		colors: labeled.colors,
+		isSemitotalistic,
+		rulesByState: isSemitotalistic ? labeled.rows : [labeled.rows[0]],
+	};
+}
@@ -0,0 +1,8 @@
+/* Classifies rulesets off the main thread, so the simulation keeps running smoothly. */
+
+import { classifyBehaviour } from './classify.js';
+
+self.addEventListener('message', ({ data }) => {
+	const { id, snapshot, seed } = data;
+	self.postMessage({ id, result: classifyBehaviour(snapshot, { seed }) });
+});
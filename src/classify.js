@@ -0,0 +1,161 @@
+/* Classifying where a ruleset ends up in the long run.
+
+The ruleset runs on the CPU stepper from a seeded random grid, and every frame is hashed. A frame that
+matches one from the last `window` steps means the grid has become periodic: a fixed point if it matches
+the frame before, an oscillator otherwise. A frame that matches an earlier one only after shifting the
+whole grid is a translating pattern, e.g. a single glider left on a torus. Shifts are found through a
+translation-invariant signature (counts of states and of neighboring state pairs) and then checked cell
+by cell, so hash collisions never produce a false result.
+
+The run is a preview: it's much smaller than the grid on screen, and it finishes long before the live grid
+has got as far, so results say so. Stochastic rules aren't run at all: their dice change every frame, so a
+grid that matches an earlier one needn't go on to repeat it. */
+
+import { SEARCH_GRID_SIZE } from './search.js';
+import { buildNeighborKernel, hasStochasticRules } from './state.js';
+import { createStepper, getRandomGridData } from './simulate.js';
+import { createRandom } from './util.js';
+
+export const CLASSIFY_STEPS = 1024;
+export const CLASSIFY_WINDOW = 256;
+// Neighbor reads per cell a classification may spend; kernels bigger than a range-2 Moore neighborhood get
+// proportionally fewer steps, so a wide kernel takes seconds rather than a minute.
+const CLASSIFY_NEIGHBOR_BUDGET = CLASSIFY_STEPS * 24;
+const MIN_CLASSIFY_STEPS = 64;
+
+/** How many steps to classify `snapshot` for, scaled down for big kernels. */
+export function getClassifySteps(snapshot) {
+	const { count } = buildNeighborKernel(snapshot);
+	const steps = Math.floor(CLASSIFY_NEIGHBOR_BUDGET / Math.max(1, count));
+	return Math.max(MIN_CLASSIFY_STEPS, Math.min(CLASSIFY_STEPS, steps));
+}
+
+// FNV-1a over `values`.
+function hashValues(values) {
+	let hash = 0x811c9dc5;
+	for (const value of values) hash = Math.imul(hash ^ value, 0x01000193);
+	return hash >>> 0;
+}
+
+// Unchanged when the grid is shifted around a torus.
+function getSignature(grid, width, height, nStates) {
+	const counts = new Uint32Array(nStates + 2 * nStates * nStates);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const state = grid[y * width + x];
+			counts[state]++;
+			counts[nStates + state * nStates + grid[y * width + ((x + 1) % width)]]++;
+			counts[nStates + nStates * nStates + state * nStates + grid[((y + 1) % height) * width + x]]++;
+		}
+	}
+	return hashValues(counts);
+}
+
+function isShifted(grid, earlier, width, height, dx, dy) {
+	for (let y = 0; y < height; y++) {
+		const row = ((y + dy) % height) * width;
+		for (let x = 0; x < width; x++) {
+			if (grid[row + ((x + dx) % width)] !== earlier[y * width + x]) return false;
+		}
+	}
+	return true;
+}
+
+// The shift (dx, dy) that carries `earlier` onto `grid`, or null. Hex rows only shift by even amounts,
+// which keeps the odd-r lattice in place.
+function findShift(grid, earlier, width, height, hexGrid) {
+	for (let dy = 0; dy < height; dy += hexGrid ? 2 : 1) {
+		for (let dx = 0; dx < width; dx++) {
+			if ((dx !== 0 || dy !== 0) && isShifted(grid, earlier, width, height, dx, dy)) return [dx, dy];
+		}
+	}
+	return null;
+}
+
+// Shifts past half the grid read better as negative ones.
+function signedShift(d, n) {
+	return d > n / 2 ? d - n : d;
+}
+
+/**
+ * Run a getStateSnapshot()-style object and classify it. Returns one of
+ * { kind: 'fixed', step }, { kind: 'oscillator', step, period },
+ * { kind: 'translating', step, period, dx, dy }, { kind: 'none', window } or, for stochastic rules,
+ * { kind: 'stochastic' }, where `step` is the step at which the repetition starts, plus the `size` of the grid
+ * it ran on.
+ */
+export function classifyBehaviour(
+	snapshot,
+	{ size = SEARCH_GRID_SIZE, steps = getClassifySteps(snapshot), window = CLASSIFY_WINDOW, seed = 1 } = {},
+) {
+	if (hasStochasticRules(snapshot)) return { kind: 'stochastic', size };
+	return { ...classify(snapshot, size, steps, Math.min(window, steps), seed), size };
+}
+
+function classify(snapshot, size, steps, window, seed) {
+	const { nStates, hexGrid } = snapshot;
+	// Only a wrapping grid can carry a pattern all the way around.
+	const canTranslate = snapshot.wrapBehaviour === 0;
+	const step = createStepper(snapshot, size, size);
+	const frames = Array.from({ length: window + 1 }, () => new Uint8Array(size * size));
+	frames[0].set(getRandomGridData(size, size, nStates, createRandom(seed)));
+	const lastStepByHash = new Map();
+	const lastStepBySignature = new Map();
+	const remember = (map, key, i) => {
+		const candidates = map.get(key) ?? [];
+		while (candidates.length > 0 && candidates[0] < i - window) candidates.shift();
+		candidates.push(i);
+		map.set(key, candidates);
+		return candidates.slice(0, -1);
+	};
+	for (let i = 0; i <= steps; i++) {
+		const grid = frames[i % frames.length];
+		if (i > 0) step(frames[(i - 1) % frames.length], grid);
+		for (const earlierStep of remember(lastStepByHash, hashValues(grid), i)) {
+			const earlier = frames[earlierStep % frames.length];
+			if (!grid.every((state, j) => state === earlier[j])) continue;
+			const period = i - earlierStep;
+			return period === 1 ? { kind: 'fixed', step: earlierStep } : { kind: 'oscillator', step: earlierStep, period };
+		}
+		if (!canTranslate) continue;
+		for (const earlierStep of remember(lastStepBySignature, getSignature(grid, size, size, nStates), i)) {
+			const shift = findShift(grid, frames[earlierStep % frames.length], size, size, hexGrid);
+			if (!shift) continue;
+			const [dx, dy] = shift;
+			return {
+				kind: 'translating',
+				step: earlierStep,
+				period: i - earlierStep,
+				dx: signedShift(dx, size),
+				dy: signedShift(dy, size),
+			};
+		}
+	}
+	return { kind: 'none', window };
+}
+
+/** A result of classifyBehaviour() as a short sentence for the HUD. */
+export function describeBehaviour(result) {
+	if (result.kind === 'stochastic') return describeKind(result);
+	return `${describeKind(result)} (${result.size}×${result.size} preview)`;
+}
+
+function describeKind(result) {
+	switch (result.kind) {
+		case 'fixed':
+			return `Fixed point after ${result.step} steps`;
+		case 'oscillator':
+			return `Period ${result.period} oscillator after ${result.step} steps`;
+		case 'translating':
+			return `Translating pattern: moves (${result.dx}, ${result.dy}) every ${result.period} steps, after ${result.step} steps`;
+		case 'stochastic':
+			return 'Not classified, since stochastic rules never run the same way twice';
+		default:
+			return `No repetition within ${result.window} steps`;
+	}
+}
+
+/** Whether the grid has stopped doing anything new. */
+export function isStuck(result) {
+	return result.kind === 'fixed' || result.kind === 'oscillator';
+}
@@ -0,0 +1,174 @@
+/* Ways to vary rule tables, for exploring near a ruleset you like.
+
+Operators work in place on `rows`: the stored rule tables, one per state when semitotalistic or a single
+shared one, each holding `ruleCount` entries (0 = no change, n = become state n - 1). Fresh entries come
+from `createRandomRow(rowIndex)`, so they follow the transition type's own generator, and entries only move
+between rows when `isAllowedRule(rowIndex, rule)` accepts them there, so Generations roles stay intact.
+
+Breeding crosses the rule tables of two snapshots whose tables line up entry for entry. */
+
+import { GENERATIONS_TRANSITION_TYPE, TRANSITION_TYPES, buildNeighborKernel } from './state.js';
+import { random } from './util.js';
+
+export const MAX_MUTATION_STRENGTH = 8;
+
+function randomIndex(n) {
+	return Math.floor(random() * n);
+}
+
+// Two different indices below n (n ≥ 2).
+function randomPair(n) {
+	const a = randomIndex(n);
+	const b = (a + 1 + randomIndex(n - 1)) % n;
+	return [a, b];
+}
+
+function rerollEntries(rows, { ruleCount, createRandomRow }) {
+	const rowIndex = randomIndex(rows.length);
+	const i = randomIndex(ruleCount);
+	rows[rowIndex][i] = createRandomRow(rowIndex)[i];
+	return true;
+}
+
+// Swapping and shifting keep entries in their own row, so the row's allowed targets still hold.
+function swapEntries(rows, { ruleCount }) {
+	if (ruleCount < 2) return false;
+	const row = rows[randomIndex(rows.length)];
+	const [i, j] = randomPair(ruleCount);
+	[row[i], row[j]] = [row[j], row[i]];
+	return true;
+}
+
+// Move a run of entries one sum up or down; the entry it moves onto wraps around to the run's other end.
+function shiftRun(rows, { ruleCount }) {
+	if (ruleCount < 2) return false;
+	const row = rows[randomIndex(rows.length)];
+	const runLength = 1 + randomIndex(Math.max(1, Math.floor(ruleCount / 4)));
+	const start = randomIndex(ruleCount - runLength);
+	const window = Array.from(row.subarray(start, start + runLength + 1));
+	const shifted = random() < 0.5 ? [window.at(-1), ...window.slice(0, -1)] : [...window.slice(1), window[0]];
+	row.set(shifted, start);
+	return true;
+}
+
+/**
+ * Swap two target states throughout the tables, e.g. every "become state 2" becomes "become state 3" and
+ * vice versa. The states keep their own rows and weights, so unlike a relabeling this changes behaviour.
+ * Only targets that every row allows alike are swapped.
+ */
+function swapTargets(rows, { ruleCount, nStates, isAllowedRule }) {
+	const pairs = [];
+	for (let a = 0; a < nStates; a++) {
+		for (let b = a + 1; b < nStates; b++) {
+			if (rows.every((_, rowIndex) => isAllowedRule(rowIndex, a + 1) === isAllowedRule(rowIndex, b + 1)))
+				pairs.push([a, b]);
+		}
+	}
+	if (pairs.length === 0) return false;
+	const [a, b] = pairs[randomIndex(pairs.length)];
+	for (const row of rows) {
+		for (let i = 0; i < ruleCount; i++) {
+			if (row[i] === a + 1) row[i] = b + 1;
+			else if (row[i] === b + 1) row[i] = a + 1;
+		}
+	}
+	return true;
+}
+
+// Copy one row over another, among the pairs where the target row allows every entry copied.
+function copyRow(rows, { ruleCount, isAllowedRule }) {
+	const pairs = [];
+	rows.forEach((fromRow, from) =>
+		rows.forEach((_, to) => {
+			if (from !== to && fromRow.subarray(0, ruleCount).every(rule => isAllowedRule(to, rule))) pairs.push([from, to]);
+		}),
+	);
+	if (pairs.length === 0) return false;
+	const [from, to] = pairs[randomIndex(pairs.length)];
+	rows[to].set(rows[from].subarray(0, ruleCount));
+	return true;
+}
+
+/** Mutation operators, in the order M cycles through them. */
+export const MUTATION_OPERATORS = [
+	{ label: 'Re-roll entries', apply: rerollEntries },
+	{ label: 'Swap entries', apply: swapEntries },
+	{ label: 'Shift a run', apply: shiftRun },
+	{ label: 'Swap targets', apply: swapTargets },
+	{ label: 'Copy a row', apply: copyRow, needsSemitotalistic: true },
+];
+
+/**
+ * Apply operator `operatorIdx` `strength` times. Returns { ok: true } once something changed, or
+ * { ok: false, reason } if the operator doesn't fit the rule tables.
+ */
+export function mutateRows(rows, operatorIdx, strength, { isAllowedRule = () => true, ...params }) {
+	const operator = MUTATION_OPERATORS[operatorIdx];
+	if (operator.needsSemitotalistic && rows.length < 2)
+		return { ok: false, reason: `${operator.label} needs semitotalistic rules (one table per state)` };
+	let didChange = false;
+	for (let i = 0; i < strength; i++) {
+		if (operator.apply(rows, { ...params, isAllowedRule })) didChange = true;
+	}
+	return didChange ? { ok: true } : { ok: false, reason: `${operator.label} has nothing it can change here` };
+}
+
+export const CROSSOVER_TYPES = ['Uniform', 'Single-point'];
+
+function isSameKernel(a, b) {
+	const kernelA = buildNeighborKernel(a);
+	const kernelB = buildNeighborKernel(b);
+	if (kernelA.count !== kernelB.count) return false;
+	return kernelA.data.every((value, i) => value === kernelB.data[i]);
+}
+
+/** Why the rule tables of snapshots `a` and `b` can't be crossed; empty when they can. */
+export function getBreedingMismatches(a, b) {
+	const mismatches = [];
+	if (a.nStates !== b.nStates) mismatches.push(`they have ${a.nStates} and ${b.nStates} states`);
+	if (a.transitionType !== b.transitionType)
+		mismatches.push(
+			`their transitions are ${TRANSITION_TYPES[a.transitionType]} and ${TRANSITION_TYPES[b.transitionType]}`,
+		);
+	else if (a.transitionType === 1 && a.sumOrderTopK !== b.sumOrderTopK)
+		mismatches.push(`they rank the top ${a.sumOrderTopK} and ${b.sumOrderTopK} states`);
+	else if (a.transitionType === GENERATIONS_TRANSITION_TYPE && a.aliveStateCount !== b.aliveStateCount)
+		mismatches.push(`they have ${a.aliveStateCount} and ${b.aliveStateCount} alive states`);
+	if (!!a.hexGrid !== !!b.hexGrid) mismatches.push('only one is on a hex grid');
+	else if (!isSameKernel(a, b)) mismatches.push('their neighborhood kernels differ');
+	// Different weights can still line up, as long as the sums cover the same range.
+	if (mismatches.length === 0 && (a.ruleCount !== b.ruleCount || a.minNeighborWeight !== b.minNeighborWeight))
+		mismatches.push(
+			`their rules cover sums ${a.minNeighborWeight} to ${a.minNeighborWeight + a.ruleCount - 1} and ${b.minNeighborWeight} to ${b.minNeighborWeight + b.ruleCount - 1}`,
+		);
+	return mismatches;
+}
+
+// One rule table per state; a shared table applies to every state.
+function getRowsPerState(snapshot) {
+	return Array.from({ length: snapshot.nStates }, (_, state) =>
+		Array.from(snapshot.rulesByState[snapshot.isSemitotalistic ? state : 0]),
+	);
+}
+
+/**
+ * A child of snapshots `a` and `b`: `a` with rule tables crossed from both parents, by picking each entry
+ * from either (Uniform) or taking `a`'s entries up to a random cut and `b`'s after it (Single-point).
+ * Returns { ok: true, snapshot } or { ok: false, reason }.
+ */
+export function breedSnapshots(a, b, crossoverIdx = 0) {
+	const mismatches = getBreedingMismatches(a, b);
+	if (mismatches.length > 0) return { ok: false, reason: mismatches.join('; ') };
+	const isSemitotalistic = a.isSemitotalistic || b.isSemitotalistic;
+	const rowsA = isSemitotalistic ? getRowsPerState(a) : [Array.from(a.rulesByState[0])];
+	const rowsB = isSemitotalistic ? getRowsPerState(b) : [Array.from(b.rulesByState[0])];
+	const entryCount = rowsA.length * a.ruleCount;
+	const cut = 1 + Math.floor(random() * (entryCount - 1));
+	const rulesByState = rowsA.map((row, rowIndex) =>
+		row.map((rule, i) => {
+			const fromA = CROSSOVER_TYPES[crossoverIdx] === 'Uniform' ? random() < 0.5 : rowIndex * a.ruleCount + i < cut;
+			return fromA ? rule : rowsB[rowIndex][i];
+		}),
+	);
+	return { ok: true, snapshot: { ...a, isSemitotalistic, rulesByState } };
+}
@@ -0,0 +1,377 @@
+/* The explain panel's description of a ruleset, without the DOM.
+
+The panel (explain-ruleset.js) and the exports share the pieces here: wrap explanations, ring colors and
+transition sentences. The exports are pure functions of a getStateSnapshot() object, so they also run
+headless: Markdown and plain text hold the states, weights, neighborhood and transitions, and the SVG
+draws the neighborhood with its ring legend. */
+
+import {
+	CUSTOM_NEIGHBORHOOD_TYPE,
+	FIXED_WRAP_BEHAVIOUR,
+	GENERATIONS_TRANSITION_TYPE,
+	STATE_COUNT_TRANSITION_TYPE,
+	buildNeighborKernel,
+	cellMatchesRing,
+	getSumOrderStatesForRuleIndex,
+	getSumOrderTopStateCount,
+	hasStochasticRules,
+} from './state.js';
+import { HEX_ROW_SPACING, hexDistance } from './hex.js';
+import { formatProbability, formatWeight } from './util.js';
+
+export const WRAP_EXPLANATIONS = {
+	Wrap: 'it wraps around to the opposite edge',
+	Reflect: 'it reflects back from the edge, as if the frame were tiled with mirror images of itself',
+	Clamp: 'it reads the nearest edge cell',
+	Brick: 'it wraps with a half-row offset on alternating rows (like bricks)',
+	Stair: 'it wraps with a half-column offset on alternating columns (like stairs)',
+	'Klein bottle':
+		'it wraps around to the opposite edge, but crossing the top or bottom edge flips left and right (a Klein bottle)',
+	'Projective plane':
+		'it wraps around to the opposite edge, flipped: crossing the top or bottom edge flips left and right, and crossing a side edge flips top and bottom (a projective plane)',
+	Fixed: 'it reads as a fixed border state',
+};
+
+export const STOCHASTIC_EXPLANATION =
+	'Rules are stochastic: a transition only happens with its target state’s probability. The dice are a hash of the cell’s position and the frame number, so every run from the same grid plays out the same way.';
+
+const GOLDEN_ANGLE = 360 * (1 - 1 / ((1 + Math.sqrt(5)) / 2)); // ~137.508°
+
+export function ringHue(ringIndex) {
+	return (ringIndex * GOLDEN_ANGLE + 65) % 360;
+}
+
+// Sum order sentences list at most this many target states.
+const MAX_SUM_ORDER_TARGETS = 20;
+
+/**
+ * How the kernel's cells are grouped for coloring: by ring, or for a Custom kernel (which has no rings)
+ * by painted weight. `getCellGroup(dx, dy)` is -2 for the center cell and -1 outside the kernel.
+ */
+export function getKernelGroups(snapshot) {
+	const isCustom = snapshot.neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE;
+	const customWeights = new Map((snapshot.customKernel ?? []).map(({ dx, dy, weight }) => [`${dx},${dy}`, weight]));
+	const customWeightGroups = [...new Set(customWeights.values())].sort((a, b) => b - a);
+	function getCellGroup(dx, dy) {
+		if (dx === 0 && dy === 0) return -2;
+		if (!isCustom) {
+			for (let r = 0; r < snapshot.nRings; r++) {
+				if (cellMatchesRing(dx, dy, r, snapshot)) return r;
+			}
+			return -1;
+		}
+		const weight = customWeights.get(`${dx},${dy}`);
+		return weight === undefined ? -1 : customWeightGroups.indexOf(weight);
+	}
+	return {
+		isCustom,
+		customWeights,
+		groupWeights: isCustom ? customWeightGroups : snapshot.ringWeights.slice(0, snapshot.nRings),
+		getCellGroup,
+	};
+}
+
+/** The sentence introducing the transitions, which depends on what the rules are indexed by. */
+export function getTransitionTableLabel(snapshot) {
+	switch (snapshot.transitionType) {
+		case 0:
+			return 'The sum of all neighbor weights determines what state the automaton transitions to:';
+		case 1:
+			return `Neighbors are summed independently by state type. The top ${getSumOrderTopStateCount(snapshot.nStates, snapshot.sumOrderTopK)} states by weight determine what state the automaton transitions to:`;
+		case GENERATIONS_TRANSITION_TYPE:
+			return 'The sum of alive neighbor weights determines what state a dead or alive automaton transitions to:';
+		case STATE_COUNT_TRANSITION_TYPE:
+			return 'The count of trigger-state neighbors, weighted by ring, determines what state the automaton transitions to:';
+		default:
+			return '';
+	}
+}
+
+function formatSumList(sums) {
+	if (sums.length === 0) return '';
+	if (sums.length === 1) return String(sums[0]);
+	if (sums.length === 2) return `${sums[0]} or ${sums[1]}`;
+	return sums.slice(0, -1).join(', ') + ', or ' + sums[sums.length - 1];
+}
+
+export function formatOrderingLabel(snapshot, ruleIdx) {
+	const states = getSumOrderStatesForRuleIndex(ruleIdx, snapshot.nStates, snapshot.sumOrderTopK);
+	if (!states) return null;
+	return states.map((state, i) => `#${i + 1}=S${state + 1}`).join(', ');
+}
+
+/**
+ * The transitions of one rule table, grouped by target state. Each sentence reads after "Become", e.g.
+ * `State 3 if the sum is 4, 7, or 9.`; `moreTargets` counts target states left out of long Sum order tables.
+ */
+export function getTransitionSentences(snapshot, rulesRow) {
+	const { nStates, ruleCount, minNeighborWeight } = snapshot;
+	const isSumOrder = snapshot.transitionType === 1;
+	const byState = new Map();
+	for (let i = 0; i < ruleCount; i++) {
+		const rule = rulesRow[i];
+		if (rule === 0) continue;
+		const stateIndex = (rule - 1) % nStates;
+		const label = isSumOrder ? formatOrderingLabel(snapshot, i) : minNeighborWeight + i;
+		if (label == null) continue;
+		if (!byState.has(stateIndex)) byState.set(stateIndex, []);
+		byState.get(stateIndex).push(label);
+	}
+	const entries = [...byState.entries()].sort((a, b) => a[0] - b[0]);
+	const shownEntries = isSumOrder ? entries.slice(0, MAX_SUM_ORDER_TARGETS) : entries;
+	const isStochastic = hasStochasticRules(snapshot);
+	const sentences = shownEntries.map(([stateIndex, labels]) => {
+		const probability = snapshot.transitionProbabilities?.[stateIndex] ?? 1;
+		const chance = isStochastic && probability < 1 ? `, with probability ${formatProbability(probability)},` : '';
+		if (isSumOrder) {
+			const list =
+				labels.length > 5 ? labels.slice(0, 5).join('; ') + `; …(${labels.length} orderings)` : labels.join('; ');
+			return { stateIndex, text: `State ${stateIndex + 1}${chance} when ordering is: ${list}.` };
+		}
+		const measure = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE ? 'count' : 'sum';
+		const sums = labels.sort((a, b) => a - b);
+		return { stateIndex, text: `State ${stateIndex + 1}${chance} if the ${measure} is ${formatSumList(sums)}.` };
+	});
+	return {
+		sentences,
+		moreTargets: entries.length - shownEntries.length,
+		hasNoChange: Array.from(rulesRow.slice(0, ruleCount)).some(r => r === 0),
+	};
+}
+
+function colorToHex(rgb) {
+	return '#' + rgb.map(x => Math.round(Math.min(1, Math.max(0, x ?? 0)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// The panel's ring colors are oklch(); SVG consumers don't all support it, so convert to sRGB hex.
+function oklchToHex(lightness, chroma, hue) {
+	const a = chroma * Math.cos((hue * Math.PI) / 180);
+	const b = chroma * Math.sin((hue * Math.PI) / 180);
+	const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+	const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+	const s = (lightness - 0.0894841775 * a - 1.291485548 * b) ** 3;
+	const linear = [
+		4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+		-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+		-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+	];
+	return colorToHex(linear.map(c => (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.max(0, c) ** (1 / 2.4) - 0.055)));
+}
+
+function describeStates(snapshot) {
+	const { nStates } = snapshot;
+	const isGenerations = snapshot.transitionType === GENERATIONS_TRANSITION_TYPE;
+	const isStateCount = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+	const hasWeight = i =>
+		(snapshot.transitionType === 0 || isGenerations) && !(isGenerations && (i === 0 || i > snapshot.aliveStateCount));
+	const blocks = [
+		{ type: 'paragraph', text: `Each cellular automaton cell exists in one of ${nStates} states:` },
+		{
+			type: 'list',
+			items: Array.from({ length: nStates }, (_, i) => {
+				const weight = hasWeight(i) ? `, weight ${formatWeight(snapshot.weights[i])}` : '';
+				return `State ${i + 1} (${colorToHex(snapshot.colors[i])})${weight}`;
+			}),
+		},
+	];
+	if (isGenerations) {
+		const aliveCount = snapshot.aliveStateCount;
+		const nDecay = nStates - 1 - aliveCount;
+		const aliveStates = aliveCount === 1 ? 'State 2 is' : `States 2–${aliveCount + 1} are`;
+		const decayText =
+			nDecay === 0
+				? ''
+				: ` The remaining ${nDecay === 1 ? 'state decays' : `${nDecay} states decay`}: ${nDecay === 1 ? 'it ignores' : 'they ignore'} their neighbors and step to the next state each frame, the last returning to dead.`;
+		blocks.push({
+			type: 'paragraph',
+			text: `State 1 is dead. ${aliveStates} alive, and only alive neighbors count towards a sum.${decayText}`,
+		});
+	}
+	if (isStateCount) {
+		blocks.push(
+			{
+				type: 'paragraph',
+				text: 'State weights are ignored. Instead, each state counts its neighbors in one trigger state:',
+			},
+			{
+				type: 'list',
+				items: Array.from(
+					{ length: nStates },
+					(_, i) => `State ${i + 1} counts State ${(snapshot.triggerStates?.[i] ?? 1) + 1}`,
+				),
+			},
+		);
+	}
+	return blocks;
+}
+
+function describeNeighborhood(snapshot) {
+	const { isCustom, groupWeights, getCellGroup } = getKernelGroups(snapshot);
+	const onHexGrid = snapshot.hexGrid ? ' on a hexagonal grid' : '';
+	const range = snapshot.neighborRange;
+	const text = isCustom
+		? `Each automaton sums the weights of its neighbors within a Custom neighborhood${onHexGrid}, painted cell by cell, with a radius of ${range}:`
+		: `Each automaton sums the weights of its neighbors within a ${snapshot.neighborhoodTypeName} neighborhood${onHexGrid} with a radius of ${range}${snapshot.nRings > 1 ? ` and ${snapshot.nRings} weight rings` : ''}:`;
+	const { data, count } = buildNeighborKernel(snapshot);
+	const cellCounts = new Array(groupWeights.length).fill(0);
+	for (let i = 0; i < count; i++) {
+		const group = getCellGroup(data[i * 4], data[i * 4 + 1]);
+		if (group >= 0) cellCounts[group]++;
+	}
+	const items = groupWeights.map((weight, r) => {
+		const cells = `${cellCounts[r]} ${cellCounts[r] === 1 ? 'cell' : 'cells'}`;
+		if (isCustom) return `Weight × ${formatWeight(weight)}: ${cells}`;
+		const radii = `radius ${formatWeight(snapshot.ringInnerRadii[r])}–${formatWeight(snapshot.ringOuterRadii[r])}`;
+		return `Ring ${r + 1}, ${radii}: weight × ${formatWeight(weight)}, ${cells}`;
+	});
+	const wrapText = WRAP_EXPLANATIONS[snapshot.wrapBehaviourName] ?? WRAP_EXPLANATIONS.Wrap;
+	const borderText = snapshot.wrapBehaviour === FIXED_WRAP_BEHAVIOUR ? `, ${snapshot.borderState + 1}` : '';
+	return [
+		{ type: 'paragraph', text },
+		{ type: 'list', items },
+		{ type: 'paragraph', text: `If a neighbor is out-of-frame, ${wrapText}${borderText}.` },
+	];
+}
+
+function describeTransitions(snapshot) {
+	const blocks = [{ type: 'paragraph', text: getTransitionTableLabel(snapshot) }];
+	if (hasStochasticRules(snapshot)) blocks.push({ type: 'paragraph', text: STOCHASTIC_EXPLANATION });
+	const isGenerations = snapshot.transitionType === GENERATIONS_TRANSITION_TYPE;
+	const addTable = rulesRow => {
+		const { sentences, moreTargets, hasNoChange } = getTransitionSentences(snapshot, rulesRow);
+		const items = sentences.map(({ text }) => `Become ${text}`);
+		if (moreTargets > 0) items.push(`…and ${moreTargets} more target states.`);
+		if (items.length > 0) blocks.push({ type: 'list', items });
+		if (hasNoChange) blocks.push({ type: 'paragraph', text: 'Any other condition leaves the state unchanged.' });
+	};
+	if (snapshot.isSemitotalistic) {
+		for (let s = 0; s < snapshot.nStates; s++) {
+			// Decay states skip the rules.
+			if (isGenerations && s > snapshot.aliveStateCount) break;
+			blocks.push({ type: 'heading', text: `When in State ${s + 1}:` });
+			addTable(snapshot.rulesByState[s]);
+		}
+	} else {
+		addTable(snapshot.rulesByState[0]);
+	}
+	blocks.push({
+		type: 'paragraph',
+		text: 'On each frame, these rules are applied to every cell, producing emergent structures.',
+	});
+	return blocks;
+}
+
+function getExplanationBlocks(snapshot) {
+	return [...describeStates(snapshot), ...describeNeighborhood(snapshot), ...describeTransitions(snapshot)];
+}
+
+const EXPLANATION_TITLE = 'Cellular automaton rule';
+
+/** The explanation as Markdown, for design docs and issue trackers. */
+export function explanationToMarkdown(snapshot) {
+	const lines = [`# ${EXPLANATION_TITLE}`, ''];
+	for (const block of getExplanationBlocks(snapshot)) {
+		if (block.type === 'heading') lines.push(`### ${block.text}`);
+		else if (block.type === 'list') lines.push(...block.items.map(item => `- ${item}`));
+		else lines.push(block.text);
+		lines.push('');
+	}
+	return lines.join('\n');
+}
+
+/** The explanation as plain text. */
+export function explanationToText(snapshot) {
+	const lines = [EXPLANATION_TITLE, '='.repeat(EXPLANATION_TITLE.length), ''];
+	for (const block of getExplanationBlocks(snapshot)) {
+		if (block.type === 'heading') lines.push(block.text, '-'.repeat(block.text.length));
+		else if (block.type === 'list') lines.push(...block.items.map(item => `  * ${item}`));
+		else lines.push(block.text);
+		lines.push('');
+	}
+	return lines.join('\n');
+}
+
+function escapeXml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const SVG_CELL_SIZE = 24;
+const SVG_LEGEND_ROW = 32;
+const SVG_MIN_WIDTH = 240;
+
+// Fill and stroke of a neighborhood cell, like the panel's grid.
+function getCellColors(group) {
+	if (group === -2) return ['#444444', '#444444'];
+	if (group < 0) return ['#999999', '#555555'];
+	const hue = ringHue(group);
+	return [oklchToHex(0.85, 0.15, hue), oklchToHex(0.6, 0.15, hue)];
+}
+
+/** The neighborhood as an SVG drawing: the kernel's cells colored by ring, over a legend of ring weights. */
+export function explanationToSvg(snapshot) {
+	const { isCustom, groupWeights, getCellGroup } = getKernelGroups(snapshot);
+	const range = snapshot.neighborRange;
+	const cells = [];
+	let gridWidth;
+	let gridHeight;
+	if (snapshot.hexGrid) {
+		// Pointy-top hexagons placed by axial offset: each row up shifts half a cell right.
+		const { data, count } = buildNeighborKernel(snapshot);
+		let hexExtent = range;
+		for (let i = 0; i < count; i++) hexExtent = Math.max(hexExtent, hexDistance(data[i * 4], data[i * 4 + 1]));
+		hexExtent += 1;
+		const radius = SVG_CELL_SIZE / Math.sqrt(3);
+		gridWidth = (2 * hexExtent + 1) * SVG_CELL_SIZE;
+		gridHeight = 2 * hexExtent * SVG_CELL_SIZE * HEX_ROW_SPACING + 2 * radius;
+		for (let dy = hexExtent; dy >= -hexExtent; dy--) {
+			for (let dx = -hexExtent; dx <= hexExtent; dx++) {
+				if (hexDistance(dx, dy) > hexExtent) continue;
+				const cx = gridWidth / 2 + (dx + dy / 2) * SVG_CELL_SIZE;
+				const cy = gridHeight / 2 - dy * SVG_CELL_SIZE * HEX_ROW_SPACING;
+				const points = Array.from({ length: 6 }, (_, k) => {
+					const angle = ((60 * k + 30) * Math.PI) / 180;
+					return `${(cx + radius * Math.cos(angle)).toFixed(2)},${(cy + radius * Math.sin(angle)).toFixed(2)}`;
+				}).join(' ');
+				const [fill, stroke] = getCellColors(getCellGroup(dx, dy));
+				cells.push(`<polygon points="${points}" fill="${fill}" stroke="${stroke}"/>`);
+			}
+		}
+	} else {
+		// Kernel dy points up the screen, so the top row is the largest dy.
+		const gridExtent = range + 1;
+		const side = 2 * gridExtent + 1;
+		gridWidth = side * SVG_CELL_SIZE;
+		gridHeight = side * SVG_CELL_SIZE;
+		for (let dy = gridExtent; dy >= -gridExtent; dy--) {
+			for (let dx = -gridExtent; dx <= gridExtent; dx++) {
+				const [fill, stroke] = getCellColors(getCellGroup(dx, dy));
+				const x = (dx + gridExtent) * SVG_CELL_SIZE;
+				const y = (gridExtent - dy) * SVG_CELL_SIZE;
+				cells.push(
+					`<rect x="${x}" y="${y}" width="${SVG_CELL_SIZE}" height="${SVG_CELL_SIZE}" fill="${fill}" stroke="${stroke}"/>`,
+				);
+			}
+		}
+	}
+	const width = Math.ceil(Math.max(gridWidth, SVG_MIN_WIDTH));
+	const legendTop = Math.ceil(gridHeight) + SVG_LEGEND_ROW / 2;
+	const legend = groupWeights.map((weight, r) => {
+		const y = legendTop + r * SVG_LEGEND_ROW;
+		const radii = isCustom
+			? ''
+			: `Radius ${formatWeight(snapshot.ringInnerRadii[r])}–${formatWeight(snapshot.ringOuterRadii[r])}, `;
+		return [
+			`<rect x="0" y="${y}" width="${SVG_CELL_SIZE}" height="${SVG_CELL_SIZE}" fill="${oklchToHex(0.85, 0.15, ringHue(r))}"/>`,
+			`<text x="${SVG_CELL_SIZE + 8}" y="${y + SVG_CELL_SIZE * 0.7}">${escapeXml(`${radii}weight × ${formatWeight(weight)}`)}</text>`,
+		].join('');
+	});
+	const height = legendTop + groupWeights.length * SVG_LEGEND_ROW;
+	const gridX = ((width - gridWidth) / 2).toFixed(2);
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, sans-serif" font-size="14">`,
+		`<g transform="translate(${gridX} 0)">${cells.join('')}</g>`,
+		...legend,
+		'</svg>',
+		'',
+	].join('\n');
+}
@@ -1,58 +1,48 @@
-import { cellDist, getSumOrderStatesForRuleIndex } from './state.js';
-
-const WRAP_EXPLANATIONS = {
-	Wrap: 'it wraps around to the opposite edge',
-	Reflect: 'it reflects back from the edge',
-	Clamp: 'it reads the nearest edge cell',
-	Brick: 'it wraps with a half-row offset on alternating rows (like bricks)',
-	Stair: 'it wraps with a half-column offset on alternating columns (like stairs)',
-};
+import {
+	FIXED_WRAP_BEHAVIOUR,
+	GENERATIONS_TRANSITION_TYPE,
+	MAX_NEIGHBOR_RANGE,
+	STATE_COUNT_TRANSITION_TYPE,
+	buildNeighborKernel,
+	getGenerationsRuleTargets,
+	hasStochasticRules,
+} from './state.js';
+import { HEX_ROW_SPACING, hexDistance } from './hex.js';
+import { describeBehaviour } from './classify.js';
+import {
+	STOCHASTIC_EXPLANATION,
+	WRAP_EXPLANATIONS,
+	formatOrderingLabel,
+	getKernelGroups,
+	getTransitionSentences,
+	getTransitionTableLabel,
+	ringHue,
+} from './explain-export.js';
+import { formatWeight } from './util.js';
 
 function rgbToCss(rgb) {
 	const [r, g, b] = rgb.map(x => Math.round((x ?? 0) * 255));
 	return `rgb(${r},${g},${b})`;
 }
 
-const GOLDEN_ANGLE = 360 * (1 - 1 / ((1 + Math.sqrt(5)) / 2)); // ~137.508°
-
-function ringHue(ringIndex) {
-	return (ringIndex * GOLDEN_ANGLE + 65) % 360;
-}
+// The weight that clicking paints onto a Custom kernel. Kept across redraws of the panel.
+let kernelBrushWeight = 1;
 
-function getRingForCell(dx, dy, snapshot) {
-	const { nRings, ringInnerRadii, ringOuterRadii, neighborhoodType } = snapshot;
-	const useEuclidean = !!snapshot.euclideanRings || neighborhoodType === 5;
-	const dist2 = dx * dx + dy * dy;
-	for (let r = 0; r < nRings; r++) {
-		const inner = ringInnerRadii[r];
-		const outer = ringOuterRadii[r];
-		const iOuter = Math.floor(outer);
-		const iInner = Math.floor(inner);
-		if (Math.abs(dx) > iOuter || Math.abs(dy) > iOuter) continue;
-		if (useEuclidean) {
-			const inner2 = inner * inner;
-			const outer2 = outer * outer;
-			if (dist2 < inner2 || dist2 > outer2) continue;
-		} else {
-			const d = cellDist(dx, dy, neighborhoodType);
-			if (d < iInner || d > iOuter) continue;
-		}
-		if (neighborhoodType === 1 && Math.abs(dx) + Math.abs(dy) > iOuter) continue;
-		if (neighborhoodType === 2 && dx !== 0 && dy !== 0) continue;
-		if (neighborhoodType === 3 && Math.abs(dx) !== Math.abs(dy)) continue;
-		if (neighborhoodType === 4 && ((dx + dy) & 1) !== 0) continue;
-		return r;
-	}
-	return -1;
-}
-
-function getCellType(dx, dy, snapshot) {
-	if (dx === 0 && dy === 0) return 'inactive';
-	const ring = getRingForCell(dx, dy, snapshot);
-	return ring >= 0 ? 'active' : 'inactive';
-}
+// Larger rule tables (long Sum order tables, mostly) would take too long to build as pickers.
+const MAX_EDITABLE_RULE_CELLS = 2048;
 
-export function renderExplainPanel(snapshot) {
+/**
+ * Build the explain panel for a getStateSnapshot() object. If `onWeightChange(stateIndex, value)` is
+ * given, state weights become editable, and `onRingRadiiChange(ring, innerRadius, outerRadius, field)`
+ * does the same for ring radii. `onKernelPaint(dx, dy, weight)` makes a Custom kernel's cells paintable,
+ * and `onRuleChange(stateIndex, ruleIndex, rule)` adds a table of rule pickers (`stateIndex` is 0 for a
+ * shared table, and `rule` 0 for no change). All four should return false when the change was rejected.
+ * `behaviour` is a classifyBehaviour() result for these rules, or null while it's being worked out.
+ */
+export function renderExplainPanel(
+	snapshot,
+	{ onWeightChange, onRingRadiiChange, onKernelPaint, onRuleChange, behaviour = null } = {},
+) {
 	const panel = document.createElement('div');
 	panel.className = 'explain-panel';
 
@@ -85,29 +75,93 @@ export function renderExplainPanel(snapshot) {
 	}
 	panel.appendChild(statesList);
 
-	if (snapshot.transitionType === 0) {
+	const isGenerations = snapshot.transitionType === GENERATIONS_TRANSITION_TYPE;
+	if (isGenerations) {
+		const aliveCount = snapshot.aliveStateCount;
+		const nDecay = nStates - 1 - aliveCount;
+		const aliveStates = aliveCount === 1 ? 'State 2 is' : `States 2–${aliveCount + 1} are`;
+		const decayText =
+			nDecay === 0
+				? ''
+				: ` The remaining ${nDecay === 1 ? 'state decays' : `${nDecay} states decay`}: ${nDecay === 1 ? 'it ignores' : 'they ignore'} their neighbors and step to the next state each frame, the last returning to dead.`;
+		const generationsText = document.createElement('p');
+		generationsText.innerHTML = `State 1 is <strong>dead</strong>. ${aliveStates} <strong>alive</strong>, and only alive neighbors count towards a sum.${decayText}`;
+		panel.appendChild(generationsText);
+	}
+
+	if (snapshot.transitionType === 0 || isGenerations) {
 		const weightsLabel = document.createElement('p');
-		weightsLabel.textContent = 'With the following weights:';
+		weightsLabel.textContent = isGenerations ? 'Alive states have the following weights:' : 'With the following weights:';
 		panel.appendChild(weightsLabel);
 		const weightsList = document.createElement('ul');
 		weightsList.className = 'explain-panel-states-list';
 		for (let i = 0; i < nStates; i++) {
+			if (isGenerations && (i === 0 || i > snapshot.aliveStateCount)) continue;
 			const li = document.createElement('li');
 			li.className = 'explain-panel-state-item';
 			const box = document.createElement('div');
 			box.className = 'explain-panel-state-box';
 			box.style.backgroundColor = rgbToCss(snapshot.colors[i]);
-			const label = document.createElement('span');
-			label.textContent = String(snapshot.weights[i]);
 			li.appendChild(box);
-			li.appendChild(label);
+			if (onWeightChange) {
+				const input = document.createElement('input');
+				input.type = 'number';
+				input.step = '0.05';
+				input.className = 'explain-panel-weight-input';
+				input.value = formatWeight(snapshot.weights[i]);
+				input.dataset.stateIndex = i;
+				input.setAttribute('aria-label', `State ${i + 1} weight`);
+				input.addEventListener('change', () => {
+					const value = input.valueAsNumber;
+					if (!Number.isFinite(value) || onWeightChange(i, value) === false)
+						input.value = formatWeight(snapshot.weights[i]);
+				});
+				li.appendChild(input);
+			} else {
+				const label = document.createElement('span');
+				label.textContent = formatWeight(snapshot.weights[i]);
+				li.appendChild(label);
+			}
 			weightsList.appendChild(li);
 		}
 		panel.appendChild(weightsList);
 	}
 
+	const isStateCount = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+	if (isStateCount) {
+		const triggersLabel = document.createElement('p');
+		triggersLabel.textContent = 'State weights are ignored. Instead, each state counts its neighbors in one trigger state:';
+		panel.appendChild(triggersLabel);
+		const triggersList = document.createElement('div');
+		triggersList.className = 'explain-panel-transition-sentences';
+		for (let i = 0; i < nStates; i++) {
+			const triggerState = snapshot.triggerStates[i];
+			const p = document.createElement('p');
+			p.className = 'explain-panel-transition-sentence';
+			const stateBox = document.createElement('span');
+			stateBox.className = 'explain-panel-state-box';
+			stateBox.style.backgroundColor = rgbToCss(snapshot.colors[i]);
+			const triggerBox = document.createElement('span');
+			triggerBox.className = 'explain-panel-state-box';
+			triggerBox.style.backgroundColor = rgbToCss(snapshot.colors[triggerState]);
+			p.append(stateBox, ` State ${i + 1} counts `, triggerBox, ` State ${triggerState + 1}.`);
+			triggersList.appendChild(p);
+		}
+		panel.appendChild(triggersList);
+	}
+
+	// A Custom kernel has no rings, so its cells are grouped and colored by painted weight instead.
+	const { isCustom, customWeights, groupWeights, getCellGroup } = getKernelGroups(snapshot);
+	const nGroups = groupWeights.length;
+	const isCellActive = (dx, dy) => getCellGroup(dx, dy) >= 0;
+	const isPaintable = (dx, dy) =>
+		isCustom && onKernelPaint && (dx !== 0 || dy !== 0) && Math.max(Math.abs(dx), Math.abs(dy)) <= MAX_NEIGHBOR_RANGE;
+
+	const onHexGrid = snapshot.hexGrid ? ' on a hexagonal grid' : '';
 	const neighLabel = document.createElement('p');
-	neighLabel.innerHTML = `Each automaton sums the weights of its neighbors within a <strong>${snapshot.neighborhoodTypeName}</strong> neighborhood. The neighborhood has a radius of <strong>${range}</strong>${nRings > 1 ? ` and <strong>${nRings}</strong> weight rings` : ''}, which looks like this:`;
+	neighLabel.innerHTML = isCustom
+		? `Each automaton sums the weights of its neighbors within a <strong>Custom</strong> neighborhood${onHexGrid}, painted cell by cell. The neighborhood has a radius of <strong>${range}</strong>, which looks like this:`
+		: `Each automaton sums the weights of its neighbors within a <strong>${snapshot.neighborhoodTypeName}</strong> neighborhood${onHexGrid}. The neighborhood has a radius of <strong>${range}</strong>${nRings > 1 ? ` and <strong>${nRings}</strong> weight rings` : ''}, which looks like this:`;
 	panel.appendChild(neighLabel);
 
 	const neighWrap = document.createElement('div');
@@ -115,160 +169,205 @@ export function renderExplainPanel(snapshot) {
 
 	const grid = document.createElement('div');
 	grid.className = 'explain-panel-neighborhood-grid';
-	grid.style.gridTemplateColumns = `repeat(${side}, 1fr)`;
-	grid.style.gridTemplateRows = `repeat(${side}, 1fr)`;
-	for (let dy = -gridExtent; dy <= gridExtent; dy++) {
-		for (let dx = -gridExtent; dx <= gridExtent; dx++) {
-			const cell = document.createElement('div');
-			cell.className = 'explain-panel-neighborhood-cell';
-			const ring = dx === 0 && dy === 0 ? -2 : getRingForCell(dx, dy, snapshot);
-			const cellType = getCellType(dx, dy, snapshot);
-			if (ring === -2) {
-				cell.classList.add('explain-panel-neighborhood-center');
-				cell.style.background = '#444';
-			} else if (ring >= 0) {
-				const hue = ringHue(ring);
-				cell.style.background = `oklch(85% 0.15 ${hue})`;
-				cell.style.borderColor = `oklch(60% 0.15 ${hue})`;
-			} else {
-				cell.style.background = '#999';
-				cell.style.borderColor = '#555';
+	function createCell(dx, dy) {
+		const cell = document.createElement('div');
+		cell.className = 'explain-panel-neighborhood-cell';
+		const ring = getCellGroup(dx, dy);
+		if (ring === -2) {
+			cell.classList.add('explain-panel-neighborhood-center');
+			cell.style.background = '#444';
+		} else if (ring >= 0) {
+			const hue = ringHue(ring);
+			cell.style.background = `oklch(85% 0.15 ${hue})`;
+			cell.style.borderColor = `oklch(60% 0.15 ${hue})`;
+		} else {
+			cell.style.background = '#999';
+			cell.style.borderColor = '#555';
+		}
+		if (isPaintable(dx, dy)) {
+			cell.classList.add('explain-panel-neighborhood-cell-paintable');
+			cell.tabIndex = 0;
+			cell.setAttribute('role', 'button');
+			cell.setAttribute('aria-label', `Paint offset ${dx}, ${dy}`);
+			cell.dataset.dx = dx;
+			cell.dataset.dy = dy;
+			// Painting the brush weight over itself erases the cell.
+			const paint = () => {
+				const current = customWeights.get(`${dx},${dy}`) ?? 0;
+				onKernelPaint(dx, dy, current === Math.fround(kernelBrushWeight) ? 0 : kernelBrushWeight);
+			};
+			cell.addEventListener('click', paint);
+			cell.addEventListener('keydown', e => {
+				if (e.key !== 'Enter' && e.key !== ' ') return;
+				e.preventDefault();
+				paint();
+			});
+		}
+		return cell;
+	}
+	if (snapshot.hexGrid) {
+		// Pointy-top hexagons placed by axial offset: each row up shifts half a cell right.
+		grid.classList.add('explain-panel-neighborhood-grid-hex');
+		const { data, count } = buildNeighborKernel(snapshot);
+		let hexExtent = range;
+		for (let i = 0; i < count; i++) hexExtent = Math.max(hexExtent, hexDistance(data[i * 4], data[i * 4 + 1]));
+		hexExtent += 1;
+		const cellWidth = 100 / (2 * hexExtent + 1);
+		const cellHeight = (cellWidth * 2) / Math.sqrt(3);
+		for (let dy = hexExtent; dy >= -hexExtent; dy--) {
+			for (let dx = -hexExtent; dx <= hexExtent; dx++) {
+				if (hexDistance(dx, dy) > hexExtent) continue;
+				const cell = createCell(dx, dy);
+				cell.style.width = `${cellWidth}%`;
+				cell.style.height = `${cellHeight}%`;
+				cell.style.left = `${50 + (dx + dy / 2 - 0.5) * cellWidth}%`;
+				cell.style.top = `${50 - dy * cellWidth * HEX_ROW_SPACING - cellHeight / 2}%`;
+				grid.appendChild(cell);
 			}
-			const neighbors = [
-				{ dx: dx, dy: dy - 1, side: 'top' },
-				{ dx: dx + 1, dy: dy, side: 'right' },
-				{ dx: dx, dy: dy + 1, side: 'bottom' },
-				{ dx: dx - 1, dy: dy, side: 'left' },
-			];
-			for (const { dx: nx, dy: ny, side } of neighbors) {
-				if (nx < -gridExtent || nx > gridExtent || ny < -gridExtent || ny > gridExtent) continue;
-				const neighborType = getCellType(nx, ny, snapshot);
-				if (cellType !== neighborType) {
-					cell.classList.add(`explain-panel-cell-border-${side}-white`);
+		}
+	} else {
+		grid.style.gridTemplateColumns = `repeat(${side}, 1fr)`;
+		grid.style.gridTemplateRows = `repeat(${side}, 1fr)`;
+		// Kernel dy points up the screen, so the top row is the largest dy.
+		for (let dy = gridExtent; dy >= -gridExtent; dy--) {
+			for (let dx = -gridExtent; dx <= gridExtent; dx++) {
+				const cell = createCell(dx, dy);
+				const isActive = isCellActive(dx, dy);
+				const neighbors = [
+					{ dx: dx, dy: dy + 1, side: 'top' },
+					{ dx: dx + 1, dy: dy, side: 'right' },
+					{ dx: dx, dy: dy - 1, side: 'bottom' },
+					{ dx: dx - 1, dy: dy, side: 'left' },
+				];
+				for (const { dx: nx, dy: ny, side } of neighbors) {
+					if (nx < -gridExtent || nx > gridExtent || ny < -gridExtent || ny > gridExtent) continue;
+					if (isActive !== isCellActive(nx, ny)) {
+						cell.classList.add(`explain-panel-cell-border-${side}-white`);
+					}
 				}
+				grid.appendChild(cell);
 			}
-			grid.appendChild(cell);
 		}
 	}
 	neighWrap.appendChild(grid);
 
+	// Non-Euclidean rings compare whole-cell distances, so only whole radii make a difference there.
+	const radiusStep = snapshot.euclideanRings || snapshot.neighborhoodType === 5 ? 0.5 : 1;
+	function createRingRadiiInputs(ring) {
+		const radii = document.createElement('span');
+		radii.className = 'explain-panel-ring-radii';
+		const inputs = {};
+		for (const field of ['inner', 'outer']) {
+			const input = document.createElement('input');
+			input.type = 'number';
+			input.min = '1';
+			input.max = String(MAX_NEIGHBOR_RANGE);
+			input.step = String(radiusStep);
+			input.className = 'explain-panel-radius-input';
+			input.value = formatWeight(field === 'inner' ? snapshot.ringInnerRadii[ring] : snapshot.ringOuterRadii[ring]);
+			input.dataset.ring = ring;
+			input.dataset.radius = field;
+			input.setAttribute('aria-label', `Ring ${ring + 1} ${field} radius`);
+			inputs[field] = input;
+		}
+		for (const [field, input] of Object.entries(inputs)) {
+			input.addEventListener('change', () => {
+				const innerRadius = inputs.inner.valueAsNumber;
+				const outerRadius = inputs.outer.valueAsNumber;
+				if (onRingRadiiChange(ring, innerRadius, outerRadius, field) === false) {
+					inputs.inner.value = formatWeight(snapshot.ringInnerRadii[ring]);
+					inputs.outer.value = formatWeight(snapshot.ringOuterRadii[ring]);
+				}
+			});
+		}
+		radii.append('Radius ', inputs.inner, '–', inputs.outer);
+		return radii;
+	}
+
 	const legend = document.createElement('ul');
 	legend.className = 'explain-panel-ring-legend';
-	legend.setAttribute('aria-label', 'Ring weights');
-	for (let r = 0; r < nRings; r++) {
+	legend.setAttribute('aria-label', isCustom ? 'Kernel weights' : 'Ring weights');
+	for (let r = 0; r < nGroups; r++) {
 		const li = document.createElement('li');
 		li.className = 'explain-panel-ring-legend-item';
 		const swatch = document.createElement('div');
 		swatch.className = 'explain-panel-ring-swatch';
 		swatch.style.background = `oklch(85% 0.15 ${ringHue(r)})`;
 		const text = document.createElement('span');
-		const ringWeight = snapshot.ringWeights[r];
-		const displayWeight = Number.isInteger(ringWeight)
-			? String(ringWeight)
-			: ringWeight.toFixed(3).replace(/0+$/, '').replace(/\.$/, '');
-		text.textContent = `Weight × ${displayWeight}`;
+		text.textContent = `Weight × ${formatWeight(groupWeights[r])}`;
 		li.appendChild(swatch);
+		if (onRingRadiiChange && !isCustom) li.appendChild(createRingRadiiInputs(r));
 		li.appendChild(text);
 		legend.appendChild(li);
 	}
+	if (isCustom && onKernelPaint) {
+		const li = document.createElement('li');
+		li.className = 'explain-panel-ring-legend-item';
+		const label = document.createElement('label');
+		const input = document.createElement('input');
+		input.type = 'number';
+		input.step = '0.25';
+		input.className = 'explain-panel-weight-input';
+		input.value = formatWeight(kernelBrushWeight);
+		input.addEventListener('change', () => {
+			if (Number.isFinite(input.valueAsNumber) && input.valueAsNumber !== 0) kernelBrushWeight = input.valueAsNumber;
+			else input.value = formatWeight(kernelBrushWeight);
+		});
+		label.append('Paint weight ', input);
+		const hint = document.createElement('span');
+		hint.textContent = 'Click a cell to paint it, or click a cell of that weight to erase it.';
+		li.append(label, hint);
+		legend.appendChild(li);
+	}
 	neighWrap.appendChild(legend);
 	panel.appendChild(neighWrap);
 
 	const wrapP = document.createElement('p');
-	wrapP.innerHTML = `If a neighbor is out-of-frame, ${WRAP_EXPLANATIONS[snapshot.wrapBehaviourName] ?? WRAP_EXPLANATIONS.Wrap}.`;
+	const wrapText = WRAP_EXPLANATIONS[snapshot.wrapBehaviourName] ?? WRAP_EXPLANATIONS.Wrap;
+	const borderText =
+		snapshot.wrapBehaviour === FIXED_WRAP_BEHAVIOUR ? `, <strong>${snapshot.borderState + 1}</strong>` : '';
+	wrapP.innerHTML = `If a neighbor is out-of-frame, ${wrapText}${borderText}.`;
 	panel.appendChild(wrapP);
 
 	const tableLabel = document.createElement('p');
-	let labelText = '';
-	switch (snapshot.transitionType) {
-		case 0:
-			labelText = 'The sum of all neighbor weights determines what state the automaton transitions to:';
-			break;
-		case 1:
-			labelText = `Neighbors are summed independently by state type. The top ${Math.min(3, nStates)} states by weight determine what state the automaton transitions to:`;
-			break;
-	}
-	tableLabel.textContent = labelText;
+	tableLabel.textContent = getTransitionTableLabel(snapshot);
 	panel.appendChild(tableLabel);
 
-	const minSum = snapshot.minNeighborWeight;
-	const ruleCount = snapshot.ruleCount;
-
-	function formatSumList(sums) {
-		if (sums.length === 0) return '';
-		if (sums.length === 1) return String(sums[0]);
-		if (sums.length === 2) return `${sums[0]} or ${sums[1]}`;
-		return sums.slice(0, -1).join(', ') + ', or ' + sums[sums.length - 1];
+	if (hasStochasticRules(snapshot)) {
+		const stochasticP = document.createElement('p');
+		stochasticP.textContent = STOCHASTIC_EXPLANATION;
+		panel.appendChild(stochasticP);
 	}
 
-	function formatOrderingLabel(ruleIdx, ns) {
-		const states = getSumOrderStatesForRuleIndex(ruleIdx, ns);
-		if (!states) return null;
-		return states.map((state, i) => `#${i + 1}=S${state + 1}`).join(', ');
-	}
+	const minSum = snapshot.minNeighborWeight;
+	const ruleCount = snapshot.ruleCount;
 
 	function buildTransitionSentences(rulesRow) {
-		const byState = new Map();
-		function addLabel(stateIndex, label) {
-			if (!label) return;
-			if (!byState.has(stateIndex)) byState.set(stateIndex, []);
-			byState.get(stateIndex).push(label);
-		}
-		for (let i = 0; i < ruleCount; i++) {
-			const rule = rulesRow[i];
-			if (rule === 0) continue;
-			const stateIndex = (rule - 1) % nStates;
-			switch (snapshot.transitionType) {
-				case 0:
-					addLabel(stateIndex, minSum + i);
-					break;
-				case 1: {
-					const label = formatOrderingLabel(i, nStates);
-					addLabel(stateIndex, label);
-					break;
-				}
-			}
-		}
+		const { sentences, moreTargets, hasNoChange } = getTransitionSentences(snapshot, rulesRow);
 		const wrap = document.createElement('div');
 		wrap.className = 'explain-panel-transition-sentences';
-		const entries = [...byState.entries()].sort((a, b) => a[0] - b[0]);
-		const maxEntries = snapshot.transitionType === 1 ? 20 : entries.length;
-		let shown = 0;
-		for (const [stateIndex, labels] of entries) {
-			if (shown >= maxEntries) {
-				const moreP = document.createElement('p');
-				moreP.className = 'explain-panel-transition-sentence';
-				moreP.textContent = `…and ${entries.length - shown} more target states.`;
-				wrap.appendChild(moreP);
-				break;
-			}
-			if (snapshot.transitionType !== 1) labels.sort((a, b) => a - b);
+		for (const { stateIndex, text } of sentences) {
 			const p = document.createElement('p');
 			p.className = 'explain-panel-transition-sentence';
 			const box = document.createElement('span');
 			box.className = 'explain-panel-state-box';
 			box.style.backgroundColor = rgbToCss(snapshot.colors[stateIndex]);
-			const list =
-				snapshot.transitionType === 1
-					? labels.length > 5
-						? labels.slice(0, 5).join('; ') + `; …(${labels.length} orderings)`
-						: labels.join('; ')
-					: formatSumList(labels);
-			p.appendChild(document.createTextNode('Become '));
-			p.appendChild(box);
-			if (snapshot.transitionType === 1) {
-				p.appendChild(document.createTextNode(` State ${stateIndex + 1} when ordering is: ${list}.`));
-			} else {
-				p.appendChild(document.createTextNode(` State ${stateIndex + 1} if the sum is ${list}.`));
-			}
+			p.append('Become ', box, ` ${text}`);
 			wrap.appendChild(p);
-			shown++;
 		}
-		return { wrap, hasNoChange: rulesRow.some(r => r === 0) };
+		if (moreTargets > 0) {
+			const moreP = document.createElement('p');
+			moreP.className = 'explain-panel-transition-sentence';
+			moreP.textContent = `…and ${moreTargets} more target states.`;
+			wrap.appendChild(moreP);
+		}
+		return { wrap, hasNoChange };
 	}
 
 	if (snapshot.isSemitotalistic) {
 		for (let s = 0; s < nStates; s++) {
+			// Decay states skip the rules, so their sections are left out.
+			if (isGenerations && s > snapshot.aliveStateCount) break;
 			const section = document.createElement('section');
 			section.className = 'explain-panel-transition-section';
 			const h3 = document.createElement('h3');
@@ -293,10 +392,102 @@ export function renderExplainPanel(snapshot) {
 		}
 	}
 
+	if (onRuleChange) {
+		// One column per state that reads its own table, or a single one for a shared table.
+		const tableStates = snapshot.isSemitotalistic
+			? Array.from({ length: nStates }, (_, s) => s).filter(s => !(isGenerations && s > snapshot.aliveStateCount))
+			: [0];
+		const editP = document.createElement('p');
+		if (ruleCount * tableStates.length > MAX_EDITABLE_RULE_CELLS) {
+			editP.textContent = `The rule table has ${ruleCount * tableStates.length} entries, too many to edit here.`;
+			panel.appendChild(editP);
+		} else {
+			editP.textContent = 'To change a rule, pick another target state in the table:';
+			panel.appendChild(editP);
+			panel.appendChild(buildRuleTable(tableStates));
+		}
+	}
+
+	function getRuleLabel(ruleIdx) {
+		if (snapshot.transitionType === 1) return formatOrderingLabel(snapshot, ruleIdx) ?? `#${ruleIdx}`;
+		return `${isStateCount ? 'Count' : 'Sum'} ${minSum + ruleIdx}`;
+	}
+
+	function buildRulePicker(stateIndex, ruleIdx) {
+		const rule = snapshot.rulesByState[stateIndex][ruleIdx];
+		const select = document.createElement('select');
+		select.className = 'explain-panel-rule-select';
+		select.dataset.rule = ruleIdx;
+		select.dataset.ruleState = stateIndex;
+		select.setAttribute(
+			'aria-label',
+			snapshot.isSemitotalistic
+				? `State ${stateIndex + 1}, ${getRuleLabel(ruleIdx)}`
+				: `Any state, ${getRuleLabel(ruleIdx)}`,
+		);
+		const value = rule === 0 ? 0 : ((rule - 1) % nStates) + 1;
+		// Generations only offers the targets its roles allow, plus the current one so it still shows.
+		const targets = isGenerations
+			? getGenerationsRuleTargets(stateIndex, snapshot)
+			: Array.from({ length: nStates }, (_, s) => s + 1);
+		const values = [...new Set([0, ...targets, value])].sort((a, b) => a - b);
+		for (const optionValue of values) {
+			const option = document.createElement('option');
+			option.value = optionValue;
+			option.textContent = optionValue === 0 ? 'No change' : `State ${optionValue}`;
+			select.appendChild(option);
+		}
+		select.value = value;
+		if (value !== 0) select.style.boxShadow = `inset 6px 0 0 ${rgbToCss(snapshot.colors[value - 1])}`;
+		select.addEventListener('change', () => {
+			if (onRuleChange(stateIndex, ruleIdx, Number(select.value)) === false) select.value = value;
+		});
+		return select;
+	}
+
+	function buildRuleTable(tableStates) {
+		const table = document.createElement('table');
+		table.className = 'explain-panel-transition-table';
+		const headRow = document.createElement('tr');
+		headRow.appendChild(document.createElement('th'));
+		for (const s of tableStates) {
+			const th = document.createElement('th');
+			if (snapshot.isSemitotalistic) {
+				const box = document.createElement('span');
+				box.className = 'explain-panel-state-box';
+				box.style.backgroundColor = rgbToCss(snapshot.colors[s]);
+				th.append(box, ` In State ${s + 1}`);
+			} else {
+				th.textContent = 'Any state';
+			}
+			headRow.appendChild(th);
+		}
+		table.appendChild(headRow);
+		for (let i = 0; i < ruleCount; i++) {
+			const tr = document.createElement('tr');
+			const labelCell = document.createElement('td');
+			labelCell.textContent = getRuleLabel(i);
+			tr.appendChild(labelCell);
+			for (const s of tableStates) {
+				const td = document.createElement('td');
+				td.appendChild(buildRulePicker(s, i));
+				tr.appendChild(td);
+			}
+			table.appendChild(tr);
+		}
+		return table;
+	}
+
 	const frameP = document.createElement('p');
 	frameP.textContent = 'On each frame, these rules are applied to every cell, producing emergent structures.';
 	panel.appendChild(frameP);
 
+	const behaviourP = document.createElement('p');
+	behaviourP.textContent = behaviour
+		? `Run from a random grid, the long-run behaviour is: ${describeBehaviour(behaviour).toLowerCase()}.`
+		: 'Working out the long-run behaviour…';
+	panel.appendChild(behaviourP);
+
 	const footer = document.createElement('div');
 	footer.className = 'explain-panel-footer';
 	const backBtn = document.createElement('button');
@@ -307,12 +498,29 @@ export function renderExplainPanel(snapshot) {
 	takeLookBtn.type = 'button';
 	takeLookBtn.className = 'explain-panel-btn explain-panel-btn-primary';
 	takeLookBtn.textContent = 'Take a look';
+	const exportBtns = document.createElement('div');
+	exportBtns.className = 'explain-panel-export';
+	const createExportBtn = text => {
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = 'explain-panel-btn explain-panel-btn-secondary';
+		btn.textContent = text;
+		exportBtns.appendChild(btn);
+		return btn;
+	};
+	const copyMarkdownBtn = createExportBtn('Copy as Markdown');
+	const downloadTextBtn = createExportBtn('Download as text');
+	const downloadSvgBtn = createExportBtn('Download as SVG');
 	footer.appendChild(backBtn);
+	footer.appendChild(exportBtns);
 	footer.appendChild(takeLookBtn);
 	panel.appendChild(footer);
 
 	panel._backBtn = backBtn;
 	panel._takeLookBtn = takeLookBtn;
+	panel._copyMarkdownBtn = copyMarkdownBtn;
+	panel._downloadTextBtn = downloadTextBtn;
+	panel._downloadSvgBtn = downloadSvgBtn;
 
 	return panel;
 }
@@ -0,0 +1,338 @@
+/* Export rulesets for Golly (https://golly.sourceforge.io) and MCell.
+
+Range-1 Moore, Von Neumann and hexagonal kernels become a Golly RuleTable: a `.rule` file with an @TABLE
+section that enumerates every neighbor count per state weight, plus @COLORS from the palette. Anything
+larger falls back to MCell’s Larger than Life or Weighted Life games when the rule fits their limits. */
+
+import {
+	GENERATIONS_TRANSITION_TYPE,
+	STATE_COUNT_TRANSITION_TYPE,
+	buildNeighborKernel,
+	getNeighborSumWeights,
+	hasStochasticRules,
+	isDecayState,
+} from './state.js';
+
+const MAX_TABLE_LINES = 100000;
+const MAX_LTL_RANGE = 10;
+
+// MCell’s Weighted Life names for the 3×3 neighbors. Kernel dy points up the screen, like texture rows.
+const WEIGHTED_LIFE_POSITIONS = [
+	['NW', -1, 1],
+	['NN', 0, 1],
+	['NE', 1, 1],
+	['WW', -1, 0],
+	['EE', 1, 0],
+	['SW', -1, -1],
+	['SS', 0, -1],
+	['SE', 1, -1],
+];
+
+function getKernel(snapshot) {
+	const { data, count } = buildNeighborKernel(snapshot);
+	return Array.from({ length: count }, (_, i) => ({
+		dx: data[i * 4],
+		dy: data[i * 4 + 1],
+		weight: data[i * 4 + 2],
+	}));
+}
+
+// Neighbor offsets of a full Moore box or Von Neumann diamond.
+function getShapeOffsets(range, isVonNeumann) {
+	const offsets = new Set();
+	for (let dx = -range; dx <= range; dx++) {
+		for (let dy = -range; dy <= range; dy++) {
+			if (dx === 0 && dy === 0) continue;
+			if (isVonNeumann && Math.abs(dx) + Math.abs(dy) > range) continue;
+			offsets.add(`${dx},${dy}`);
+		}
+	}
+	return offsets;
+}
+
+function matchesShape(kernel, range, isVonNeumann) {
+	const offsets = getShapeOffsets(range, isVonNeumann);
+	return kernel.length === offsets.size && kernel.every(({ dx, dy }) => offsets.has(`${dx},${dy}`));
+}
+
+// The six neighbors of a hex cell, in axial offsets.
+function isHexNeighbors(kernel) {
+	const offsets = new Set(['1,0', '-1,0', '0,1', '0,-1', '1,-1', '-1,1']);
+	return kernel.length === offsets.size && kernel.every(({ dx, dy }) => offsets.has(`${dx},${dy}`));
+}
+
+function isUniform(kernel) {
+	return kernel.every(({ weight }) => weight === kernel[0].weight);
+}
+
+// The rule entry for a neighbor sum, looked up like the update shader does.
+function createRuleLookup(snapshot) {
+	const { minNeighborWeight, ruleCount, rulesByState, isSemitotalistic } = snapshot;
+	return (state, sum) => {
+		let ruleIndex = Math.floor(sum) - minNeighborWeight;
+		if (ruleIndex < 0) ruleIndex = 0;
+		if (ruleIndex >= ruleCount) ruleIndex = ruleCount - 1;
+		return rulesByState[isSemitotalistic ? state : 0][ruleIndex];
+	};
+}
+
+function getTarget(rule, state, nStates) {
+	return rule === 0 ? state : (rule - 1) % nStates;
+}
+
+// Every way of splitting `total` neighbors across `nParts` groups.
+function forEachComposition(total, nParts, cb, prefix = []) {
+	if (prefix.length === nParts - 1) {
+		cb([...prefix, total]);
+		return;
+	}
+	for (let i = 0; i <= total; i++) forEachComposition(total - i, nParts, cb, [...prefix, i]);
+}
+
+function binomial(n, k) {
+	let result = 1;
+	for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+	return Math.round(result);
+}
+
+function formatColors(snapshot) {
+	return snapshot.colors
+		.map((rgb, state) => `${state} ${rgb.map(x => Math.round((x ?? 0) * 255)).join(' ')}`)
+		.join('\n');
+}
+
+function exportGollyRuleTable(snapshot, kernel, name) {
+	const { nStates, weights, isSemitotalistic } = snapshot;
+	const nNeighbors = kernel.length;
+	const kernelWeight = kernel[0].weight;
+	const lookupRule = createRuleLookup(snapshot);
+
+	// States with equal weights are interchangeable in a sum, so each table line covers a weight class.
+	const classes = [];
+	for (let state = 0; state < nStates; state++) {
+		const existing = classes.find(c => c.weight === weights[state]);
+		if (existing) existing.states.push(state);
+		else classes.push({ weight: weights[state], states: [state] });
+	}
+	const nSourceRows = isSemitotalistic ? nStates : 1;
+	const nLines = binomial(nNeighbors + classes.length - 1, classes.length - 1) * nSourceRows;
+	if (nLines > MAX_TABLE_LINES)
+		return {
+			ok: false,
+			reason: `${classes.length} distinct state weights would need about ${nLines} table lines`,
+		};
+
+	// Golly binds a variable to one value per line, so each neighbor position needs its own copy.
+	const vars = [];
+	classes.forEach((c, ci) => {
+		if (c.states.length < 2) return;
+		for (let i = 0; i < nNeighbors; i++) vars.push(`var w${ci}_${i}={${c.states.join(',')}}`);
+	});
+	if (!isSemitotalistic) vars.push(`var any={${Array.from({ length: nStates }, (_, i) => i).join(',')}}`);
+
+	const lines = [];
+	forEachComposition(nNeighbors, classes.length, counts => {
+		let sum = 0;
+		const neighbors = [];
+		counts.forEach((count, ci) => {
+			const c = classes[ci];
+			for (let i = 0; i < count; i++) {
+				sum = Math.fround(sum + Math.fround(kernelWeight * c.weight));
+				neighbors.push(c.states.length > 1 ? `w${ci}_${neighbors.length}` : String(c.states[0]));
+			}
+		});
+		// Cells without a matching line keep their state, so only real transitions are listed.
+		if (isSemitotalistic) {
+			for (let state = 0; state < nStates; state++) {
+				const target = getTarget(lookupRule(state, sum), state, nStates);
+				if (target !== state) lines.push([state, ...neighbors, target].join(','));
+			}
+		} else {
+			const rule = lookupRule(0, sum);
+			if (rule !== 0) lines.push(['any', ...neighbors, getTarget(rule, 0, nStates)].join(','));
+		}
+	});
+
+	const text = [
+		`@RULE ${name}`,
+		'',
+		`Exported from CA Finder. Edges: ${snapshot.wrapBehaviourName}.`,
+		'',
+		'@TABLE',
+		`n_states:${nStates}`,
+		`neighborhood:${snapshot.hexGrid ? 'hexagonal' : nNeighbors === 8 ? 'Moore' : 'vonNeumann'}`,
+		'symmetries:permute',
+		...vars,
+		...lines,
+		'',
+		'@COLORS',
+		formatColors(snapshot),
+		'',
+	].join('\n');
+	return { ok: true, format: 'Golly RuleTable', filename: `${name}.rule`, text };
+}
+
+// Sums (as live-neighbor counts) where a dead cell is born and a live cell survives.
+function getBirthAndSurvival(snapshot, maxSum) {
+	const lookupRule = createRuleLookup(snapshot);
+	const birth = [];
+	const survival = [];
+	for (let sum = 0; sum <= maxSum; sum++) {
+		if (getTarget(lookupRule(0, sum), 0, 2) === 1) birth.push(sum);
+		if (getTarget(lookupRule(1, sum), 1, 2) === 1) survival.push(sum);
+	}
+	return { birth, survival };
+}
+
+// `values` as a min..max range shifted by `offset`, `emptyRange` if there are none, or null if they have gaps.
+function formatInterval(values, offset, emptyRange) {
+	if (values.length === 0) return emptyRange;
+	const isContiguous = values.every((v, i) => i === 0 || v === values[i - 1] + 1);
+	return isContiguous ? `${values[0] + offset}..${values[values.length - 1] + offset}` : null;
+}
+
+function mcellFile(game, rule, snapshot) {
+	return [
+		'#MCell 4.20',
+		`#GAME ${game}`,
+		`#RULE ${rule}`,
+		`#WRAP ${snapshot.wrapBehaviour === 0 ? 1 : 0}`,
+		'#D Exported from CA Finder',
+		'',
+	].join('\n');
+}
+
+function getTwoStateReason(snapshot) {
+	if (snapshot.nStates !== 2) return `MCell’s weighted games have 2 states, not ${snapshot.nStates}`;
+	if (snapshot.weights[0] !== 0) return 'MCell counts live neighbors only, so state 1 must weigh 0';
+	return null;
+}
+
+function exportLargerThanLife(snapshot, kernel, range, name) {
+	const twoStateReason = getTwoStateReason(snapshot);
+	if (twoStateReason) return { ok: false, reason: twoStateReason };
+	if (snapshot.weights[1] !== 1) return { ok: false, reason: 'Larger than Life needs live cells to weigh 1' };
+	if (range > MAX_LTL_RANGE)
+		return { ok: false, reason: `Larger than Life supports ranges up to ${MAX_LTL_RANGE}` };
+	if (!isUniform(kernel) || kernel[0].weight !== 1)
+		return { ok: false, reason: 'Larger than Life needs every neighbor to weigh 1 (a single ring)' };
+	const isVonNeumann = matchesShape(kernel, range, true);
+	if (!isVonNeumann && !matchesShape(kernel, range, false))
+		return { ok: false, reason: 'Larger than Life only has Moore and Von Neumann neighborhoods' };
+
+	const { birth, survival } = getBirthAndSurvival(snapshot, kernel.length);
+	// A min..max range can't be empty, so an empty set counts the middle cell too (M1): live cells then count
+	// at least 1 and dead ones at most kernel.length, which leaves each a count it never reaches.
+	const countsMiddle = birth.length === 0 || survival.length === 0;
+	const neverBorn = kernel.length + 1;
+	const birthRange = formatInterval(birth, 0, `${neverBorn}..${neverBorn}`);
+	const survivalRange = formatInterval(survival, countsMiddle ? 1 : 0, '0..0');
+	if (!birthRange || !survivalRange)
+		return {
+			ok: false,
+			reason: 'Larger than Life needs one unbroken birth range and one unbroken survival range',
+		};
+	const rule = `R${range},C0,M${countsMiddle ? 1 : 0},S${survivalRange},B${birthRange},${isVonNeumann ? 'NN' : 'NM'}`;
+	return {
+		ok: true,
+		format: 'MCell Larger than Life',
+		filename: `${name}.mcl`,
+		text: mcellFile('Larger than Life', rule, snapshot),
+	};
+}
+
+function exportWeightedLife(snapshot, kernel, name) {
+	const twoStateReason = getTwoStateReason(snapshot);
+	if (twoStateReason) return { ok: false, reason: twoStateReason };
+	const liveWeight = snapshot.weights[1];
+	const neighborWeights = WEIGHTED_LIFE_POSITIONS.map(([label, dx, dy]) => {
+		const entry = kernel.find(k => k.dx === dx && k.dy === dy);
+		return { label, weight: (entry?.weight ?? 0) * liveWeight };
+	});
+	if (neighborWeights.some(({ weight }) => weight < 0 || !Number.isInteger(weight)))
+		return { ok: false, reason: 'Weighted Life needs non-negative whole-number neighbor weights' };
+
+	const totalWeight = neighborWeights.reduce((total, { weight }) => total + weight, 0);
+	const { birth, survival } = getBirthAndSurvival(snapshot, totalWeight);
+	const rule = [
+		...neighborWeights.slice(0, 4).map(({ label, weight }) => `${label}${weight}`),
+		'ME0',
+		...neighborWeights.slice(4).map(({ label, weight }) => `${label}${weight}`),
+		'HI0',
+		...survival.map(sum => `RS${sum}`),
+		...birth.map(sum => `RB${sum}`),
+	].join(',');
+	return {
+		ok: true,
+		format: 'MCell Weighted Life',
+		filename: `${name}.mcl`,
+		text: mcellFile('Weighted Life', rule, snapshot),
+	};
+}
+
+// The same automaton as a semitotalistic Exact sum ruleset: decay states get rules that always advance.
+function generationsToExactSum(snapshot) {
+	const { nStates, ruleCount } = snapshot;
+	const rulesByState = Array.from({ length: nStates }, (_, state) => {
+		if (isDecayState(state, snapshot)) return new Array(ruleCount).fill(state + 1 < nStates ? state + 2 : 1);
+		return Array.from(snapshot.rulesByState[snapshot.isSemitotalistic ? state : 0]);
+	});
+	return {
+		...snapshot,
+		transitionType: 0,
+		isSemitotalistic: true,
+		weights: getNeighborSumWeights(snapshot),
+		rulesByState,
+	};
+}
+
+// With one trigger state shared by every state, a state count is an exact sum where only that state weighs 1.
+function stateCountToExactSum(snapshot) {
+	const [triggerState] = snapshot.triggerStates;
+	if (!snapshot.triggerStates.every(state => state === triggerState)) return null;
+	return {
+		...snapshot,
+		transitionType: 0,
+		weights: Array.from({ length: snapshot.nStates }, (_, state) => (state === triggerState ? 1 : 0)),
+	};
+}
+
+/**
+ * Export a getStateSnapshot() object as a Golly RuleTable or MCell file. Returns
+ * { ok: true, format, filename, text }, or { ok: false, reason } when no format can express the rule.
+ */
+export function exportRuleFile(snapshot, name = 'CAFinder') {
+	if (hasStochasticRules(snapshot))
+		return { ok: false, reason: 'stochastic rules fire at random, and Golly and MCell rules are deterministic' };
+	if (snapshot.transitionType === GENERATIONS_TRANSITION_TYPE) snapshot = generationsToExactSum(snapshot);
+	if (snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE) {
+		snapshot = stateCountToExactSum(snapshot);
+		if (!snapshot)
+			return {
+				ok: false,
+				reason: 'states count different trigger states, which neither Golly nor MCell can express',
+			};
+	}
+	if (snapshot.transitionType !== 0)
+		return {
+			ok: false,
+			reason: 'sum-order transitions rank states against each other, which neither Golly nor MCell can express',
+		};
+	const kernel = getKernel(snapshot);
+	if (kernel.length === 0) return { ok: false, reason: 'the neighborhood is empty' };
+	if (snapshot.hexGrid) {
+		if (isUniform(kernel) && isHexNeighbors(kernel)) return exportGollyRuleTable(snapshot, kernel, name);
+		return {
+			ok: false,
+			reason: 'on a hex grid, only the six nearest neighbors with equal weights can be exported (as a Golly RuleTable)',
+		};
+	}
+
+	const range = Math.max(...kernel.map(({ dx, dy }) => Math.max(Math.abs(dx), Math.abs(dy))));
+	if (range === 1 && isUniform(kernel) && (matchesShape(kernel, 1, false) || matchesShape(kernel, 1, true)))
+		return exportGollyRuleTable(snapshot, kernel, name);
+	if (kernel.some(({ weight }) => weight < 0))
+		return { ok: false, reason: 'negative ring weights can’t be expressed by MCell’s weighted games' };
+	if (range === 1) return exportWeightedLife(snapshot, kernel, name);
+	return exportLargerThanLife(snapshot, kernel, range, name);
+}
@@ -0,0 +1,182 @@
+/* Hex grid geometry.
+
+Cells are stored in the state texture in "odd-r" offset coordinates: texel (col, row) is one pointy-top
+hexagon, and odd rows sit half a cell to the right. Kernel offsets are axial (dq, dr), with dr pointing
+up the screen like texture rows, so a neighbor is found by converting to axial, adding the offset and
+converting back. The grid height is kept to a multiple of 4 so row parity survives wrapping (and the
+half-height shift of Stair), which keeps the lattice seamless across edges. Mirrored edges (Klein bottle,
+projective plane) flip about a line through cell centers for the same reason, which puts the mirror
+axis half a cell off the grid's center.
+
+The GLSL below mirrors the JS functions and is shared by the update, display and image-seed shaders. */
+
+// Canvas pixels per hex column. Hex mode renders the canvas at a higher density so each cell is
+// drawn from several pixels, and simulates only a (canvas / HEX_CELL_SIZE) sub-region of the texture.
+export const HEX_CELL_SIZE = 4;
+const SQRT3 = Math.sqrt(3);
+export const HEX_ROW_SPACING = SQRT3 / 2;
+
+// Integer modulo that is always non-negative, like mod() in the shaders.
+function imod(a, n) {
+	return a - n * Math.floor(a / n);
+}
+
+/** Hex (cube) distance between axial offsets, i.e. the number of steps between cells. */
+export function hexDistance(dq, dr) {
+	return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/** Euclidean distance between cell centers, in units of the distance between adjacent cells. */
+export function hexEuclideanDistance(dq, dr) {
+	return Math.sqrt(dq * dq + dq * dr + dr * dr);
+}
+
+/** The grid of hex cells that fits a canvas; the height is a multiple of 4, see above. */
+export function getHexGridSize(canvasWidth, canvasHeight) {
+	const width = Math.max(4, Math.floor(canvasWidth / HEX_CELL_SIZE));
+	const height = Math.max(4, Math.floor(canvasHeight / (HEX_CELL_SIZE * HEX_ROW_SPACING) / 4) * 4);
+	return [width, height];
+}
+
+/** Offset coordinates of the cell at axial offset (dq, dr) from (col, row). */
+export function getHexNeighbor(col, row, dq, dr) {
+	const nRow = row + dr;
+	return [col + dq + (nRow >> 1) - (row >> 1), nRow];
+}
+
+// Mirror about the edge cells' centers, so row parity (and the lattice) is preserved.
+function reflectIndex(a, n) {
+	if (n < 2) return 0;
+	const t = imod(a, 2 * n - 2);
+	return t < n ? t : 2 * n - 2 - t;
+}
+
+// Mirror a column left to right about the grid's center line; odd rows sit half a cell further right.
+function flipColumn(col, row, width) {
+	return imod(width - 1 - col - (row & 1), width);
+}
+
+// Mirror a row top to bottom, keeping its parity.
+function flipRow(row, height) {
+	return imod(height - 2 - row, height);
+}
+
+// Klein bottle (5) and projective plane (6): wrapping mirrors the other axis on odd wraps.
+function mapTwistedCell(col, row, width, height, wrapBehaviour) {
+	const colWraps = Math.floor(col / width);
+	const rowWraps = Math.floor(row / height);
+	let c = imod(col, width);
+	let r = imod(row, height);
+	if (rowWraps & 1) c = flipColumn(c, r, width);
+	if (wrapBehaviour === 6 && colWraps & 1) r = flipRow(r, height);
+	return [c, r];
+}
+
+/** Bring a cell that may lie outside the grid back in, following the wrap behaviour. */
+export function mapHexCell(col, row, width, height, wrapBehaviour) {
+	switch (wrapBehaviour) {
+		case 0:
+			return [imod(col, width), imod(row, height)];
+		case 1:
+			return [reflectIndex(col, width), reflectIndex(row, height)];
+		case 3:
+			return [imod(col + Math.floor(row / height) * (width >> 1), width), imod(row, height)];
+		case 4:
+			return [imod(col, width), imod(row + Math.floor(col / width) * (height >> 1), height)];
+		case 5:
+		case 6:
+			return mapTwistedCell(col, row, width, height, wrapBehaviour);
+		default:
+			return [Math.min(width - 1, Math.max(0, col)), Math.min(height - 1, Math.max(0, row))];
+	}
+}
+
+/**
+ * The cell under normalized image coordinates (u, v), v pointing up. The grid is stretched to fill the
+ * image; pixels past the last half cell show the wrapped-around cell.
+ */
+export function getHexCellAt(u, v, width, height) {
+	const x = -0.5 + u * (width + 0.5);
+	const y = -1 / SQRT3 + v * ((height - 1) * HEX_ROW_SPACING + 2 / SQRT3);
+	const q = x - y / SQRT3;
+	const r = (2 * y) / SQRT3;
+	const s = -q - r;
+	let rq = Math.round(q);
+	let rr = Math.round(r);
+	const rs = Math.round(s);
+	const dq = Math.abs(rq - q);
+	const dr = Math.abs(rr - r);
+	const ds = Math.abs(rs - s);
+	if (dq > dr && dq > ds) rq = -rr - rs;
+	else if (dr > ds) rr = -rq - rs;
+	return [imod(rq + (rr >> 1), width), imod(rr, height)];
+}
+
+export const HEX_GLSL = `
+int imod(int a, int n) {
+	return a - n * int(floor(float(a) / float(n)));
+}
+
+ivec2 getHexNeighbor(ivec2 cell, vec2 offset) {
+	int dq = int(offset.x);
+	int dr = int(offset.y);
+	int row = cell.y + dr;
+	return ivec2(cell.x + dq + (row >> 1) - (cell.y >> 1), row);
+}
+
+int reflectIndex(int a, int n) {
+	if (n < 2) return 0;
+	int t = imod(a, 2 * n - 2);
+	return t < n ? t : 2 * n - 2 - t;
+}
+
+int flipColumn(int col, int row, int width) {
+	return imod(width - 1 - col - (row & 1), width);
+}
+
+int flipRow(int row, int height) {
+	return imod(height - 2 - row, height);
+}
+
+ivec2 mapHexCell(ivec2 cell, ivec2 size, int wrapBehaviour) {
+	if (wrapBehaviour == 0) {
+		return ivec2(imod(cell.x, size.x), imod(cell.y, size.y));
+	}
+	if (wrapBehaviour == 1) {
+		return ivec2(reflectIndex(cell.x, size.x), reflectIndex(cell.y, size.y));
+	}
+	if (wrapBehaviour == 3) {
+		int rowWraps = int(floor(float(cell.y) / float(size.y)));
+		return ivec2(imod(cell.x + rowWraps * (size.x >> 1), size.x), imod(cell.y, size.y));
+	}
+	if (wrapBehaviour == 4) {
+		int colWraps = int(floor(float(cell.x) / float(size.x)));
+		return ivec2(imod(cell.x, size.x), imod(cell.y + colWraps * (size.y >> 1), size.y));
+	}
+	if (wrapBehaviour == 5 || wrapBehaviour == 6) {
+		int colWraps = int(floor(float(cell.x) / float(size.x)));
+		int rowWraps = int(floor(float(cell.y) / float(size.y)));
+		ivec2 mapped = ivec2(imod(cell.x, size.x), imod(cell.y, size.y));
+		if ((rowWraps & 1) == 1) mapped.x = flipColumn(mapped.x, mapped.y, size.x);
+		if (wrapBehaviour == 6 && (colWraps & 1) == 1) mapped.y = flipRow(mapped.y, size.y);
+		return mapped;
+	}
+	return clamp(cell, ivec2(0), size - 1);
+}
+
+ivec2 getHexCellAt(vec2 uv, ivec2 size) {
+	const float SQRT3 = 1.7320508;
+	vec2 gridSize = vec2(size);
+	vec2 p = vec2(-0.5, -1.0 / SQRT3) +
+		uv * vec2(gridSize.x + 0.5, (gridSize.y - 1.0) * SQRT3 * 0.5 + 2.0 / SQRT3);
+	float q = p.x - p.y / SQRT3;
+	float r = 2.0 * p.y / SQRT3;
+	vec3 cube = vec3(q, r, -q - r);
+	vec3 rounded = floor(cube + 0.5);
+	vec3 diff = abs(rounded - cube);
+	if (diff.x > diff.y && diff.x > diff.z) rounded.x = -rounded.y - rounded.z;
+	else if (diff.y > diff.z) rounded.y = -rounded.x - rounded.z;
+	int row = int(rounded.y);
+	return ivec2(imod(int(rounded.x) + (row >> 1), size.x), imod(row, size.y));
+}
+`;
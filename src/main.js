@@ -26,11 +26,12 @@ and determine that it should remain unchanged. */
 import { tinykeys } from 'tinykeys';
 import ShaderPad from 'shaderpad';
 import helpers from 'shaderpad/plugins/helpers';
-import { save } from 'shaderpad/util';
+import { toBlob } from 'shaderpad/util';
 
 import './palettes.js';
 import {
 	MAX_ENCODED_STATE_LENGTH,
+	PNG_STATE_KEYWORD,
 	MAX_N_RINGS,
 	MAX_NEIGHBOR_CELLS,
 	MAX_N_RULES,
@@ -41,6 +42,7 @@ import {
 	N_NEIGHBORHOOD_TYPES,
 	N_WRAP_BEHAVIOURS,
 	WRAP_BEHAVIOURS,
+	FIXED_WRAP_BEHAVIOUR,
 	TRANSITION_TYPES,
 	RING_WEIGHT_PRESETS,
 	applyColorsFromPalette,
@@ -55,13 +57,17 @@ import {
 	getRulesByState,
 	getWeights,
 	getStateSnapshot,
+	getRuleset,
 	setRuleset,
 	createRandomRuleset,
 	generateRingRadii,
 	getIsSemitotalistic,
+	isAllowedRule,
 	setIsSemitotalistic,
 	getWrapBehaviour,
 	setWrapBehaviour,
+	getBorderState,
+	setBorderState,
 	getNeighborhoodType,
 	setNeighborhoodType,
 	setNeighborRangeValue,
@@ -78,6 +84,24 @@ import {
 	updateColorsState,
 	getTransitionType,
 	swapTransitionType,
+	GENERATIONS_TRANSITION_TYPE,
+	getAliveStateCount,
+	setAliveStateCount,
+	MAX_SUM_ORDER_TOP_K,
+	getSumOrderTopK,
+	getSumOrderTopStateCount,
+	setSumOrderTopK,
+	STATE_COUNT_TRANSITION_TYPE,
+	getTriggerStates,
+	randomizeTriggerStates,
+	setTriggerState,
+	getTransitionProbabilities,
+	hasStochasticRules,
+	randomizeTransitionProbabilities,
+	setTransitionProbabilities,
+	getGridSeed,
+	reseedGrid,
+	getNeighborSumWeights,
 	getRingWeightPresetIdx,
 	setRingWeightPresetIdx,
 	clearInactiveRules,
@@ -85,10 +109,50 @@ import {
 	getNextWeightsIdx,
 	getRuleCountOverride,
 	restoreWeightsState,
+	setWeight,
+	clearCustomRingRadii,
+	getRingRadiiState,
+	isValidRingRadius,
+	restoreRingRadiiState,
+	setRingRadius,
+	CUSTOM_NEIGHBORHOOD_TYPE,
+	getCustomKernelState,
+	restoreCustomKernelState,
+	seedCustomKernel,
+	setCustomKernelWeight,
+	getHexGrid,
+	setHexGrid,
 	restoreRuleCountOverride,
 	buildNeighborKernel,
+	decodeSnapshot,
+	encodeSnapshot,
 } from './state.js';
 import { renderExplainPanel } from './explain-ruleset.js';
+import { explanationToMarkdown, explanationToSvg, explanationToText } from './explain-export.js';
+import { rulesetJsonToSnapshot, snapshotToRulesetJson } from './ruleset-json.js';
+import { parseRuleString, ruleToSnapshot } from './rule-notation.js';
+import { exportRuleFile } from './export-golly.js';
+import {
+	CROSSOVER_TYPES,
+	MAX_MUTATION_STRENGTH,
+	MUTATION_OPERATORS,
+	breedSnapshots,
+	mutateRows,
+} from './evolve-ruleset.js';
+import { addPngText, readPngText } from './png.js';
+import { getRandomGridData } from './simulate.js';
+import { DEFAULT_SEARCH_THRESHOLDS, formatThresholds, parseThresholds, passesThresholds } from './search.js';
+import { describeBehaviour, isStuck } from './classify.js';
+import { canonicalizeSnapshot, getCanonicalKey } from './canonical.js';
+import {
+	addPopulationSample,
+	createPopulationSeries,
+	drawPopulationOverlay,
+	populationSeriesToCsv,
+	sumPopulationCounts,
+} from './population.js';
+import { HEX_CELL_SIZE, HEX_GLSL, getHexGridSize } from './hex.js';
+import { CELL_RANDOM_GLSL, createRandom, formatProbability, formatWeight, seedRandom } from './util.js';
 
 let needsDisplayUpdate = true;
 function ifInstructionsHidden(cb) {
@@ -126,6 +190,10 @@ function applyRulespaceChange({ mutate, restore, regenerateRuleset = false, scra
 }
 
 function changeNeighborRange(direction) {
+	if (getNeighborhoodType() === CUSTOM_NEIGHBORHOOD_TYPE) {
+		showInfo('Range follows the painted kernel');
+		return false;
+	}
 	const neighborRange = getNeighborRange();
 	const next = direction > 0 ? Math.min(MAX_NEIGHBOR_RANGE, neighborRange + 1) : Math.max(neighborRange - 1, 1);
 	if (next !== neighborRange && !setNeighborRange(next, true)) return false;
@@ -152,24 +220,62 @@ function changeStateCount(direction) {
 function cycleNeighborhoodType(direction) {
 	const neighborhoodType = getNeighborhoodType();
 	const next = (neighborhoodType + direction + N_NEIGHBORHOOD_TYPES) % N_NEIGHBORHOOD_TYPES;
+	const previousCustomKernel = getCustomKernelState();
 	if (
 		applyRulespaceChange({
-			mutate: () => setNeighborhoodType(next),
-			restore: () => setNeighborhoodType(neighborhoodType),
+			mutate: () => {
+				if (next === CUSTOM_NEIGHBORHOOD_TYPE) seedCustomKernel();
+				setNeighborhoodType(next);
+			},
+			restore: () => {
+				setNeighborhoodType(neighborhoodType);
+				restoreCustomKernelState(previousCustomKernel);
+			},
 		}) === false
 	)
 		return false;
 	showInfo(`${NEIGHBORHOOD_TYPES[getNeighborhoodType()]} Neighborhood`);
 }
 
+function showWrapBehaviour() {
+	const name = WRAP_BEHAVIOURS[getWrapBehaviour()];
+	showInfo(getWrapBehaviour() === FIXED_WRAP_BEHAVIOUR ? `${name} (border: state ${getBorderState() + 1})` : name);
+}
+
+function cycleBorderState(direction) {
+	if (getWrapBehaviour() !== FIXED_WRAP_BEHAVIOUR) {
+		setWrapBehaviour(FIXED_WRAP_BEHAVIOUR);
+	} else {
+		setBorderState((getBorderState() + direction + getNStates()) % getNStates());
+	}
+	syncShaderUniforms();
+	showWrapBehaviour();
+}
+
+function toggleHexGrid() {
+	const hexGrid = getHexGrid();
+	if (
+		applyRulespaceChange({
+			mutate: () => setHexGrid(!hexGrid),
+			restore: () => setHexGrid(hexGrid),
+		}) === false
+	)
+		return false;
+	setCanvasSize();
+	syncGridUniforms();
+	scramble();
+	showInfo(getHexGrid() ? 'Hex grid' : 'Square grid');
+}
+
 function changeRingCount(direction) {
 	const nRings = getNRings();
 	const next = direction > 0 ? Math.min(MAX_N_RINGS, nRings + 1) : Math.max(1, nRings - 1);
 	if (next !== nRings) {
-		const neighborRange = getNeighborRange();
+		const previousRingRadii = getRingRadiiState();
 		if (
 			applyRulespaceChange({
 				mutate: () => {
+					clearCustomRingRadii();
 					setNRings(next);
 					if (next > nRings) {
 						const minRange = next * 2;
@@ -180,7 +286,7 @@ function changeRingCount(direction) {
 				},
 				restore: () => {
 					setNRings(nRings);
-					setNeighborRangeValue(neighborRange);
+					restoreRingRadiiState(previousRingRadii);
 				},
 				scrambleState: true,
 			}) === false
@@ -201,6 +307,84 @@ function cycleWeightDistribution(direction = 1) {
 	showInfo(`Weights: ${label}`);
 }
 
+const WEIGHT_EDIT_STEP = 0.05;
+let weightEditStateIndex = 0;
+
+function getWeightEditStateIndex() {
+	return Math.min(weightEditStateIndex, getNStates() - 1);
+}
+
+function showStateWeight(stateIndex) {
+	showInfo(`State ${stateIndex + 1} weight: ${formatWeight(getWeights()[stateIndex])}`);
+}
+
+function setStateWeight(stateIndex, value) {
+	const previousWeights = new Float32Array(getWeights());
+	const previousWeightsIdx = getNextWeightsIdx();
+	if (
+		applyRulespaceChange({
+			mutate: () => setWeight(stateIndex, value),
+			restore: () => restoreWeightsState(previousWeightsIdx, previousWeights),
+		}) === false
+	)
+		return false;
+	showStateWeight(stateIndex);
+}
+
+function selectWeightEditState(direction) {
+	const nStates = getNStates();
+	weightEditStateIndex = (getWeightEditStateIndex() + direction + nStates) % nStates;
+	showStateWeight(weightEditStateIndex);
+}
+
+function nudgeStateWeight(direction) {
+	const stateIndex = getWeightEditStateIndex();
+	const next = getWeights()[stateIndex] + direction * WEIGHT_EDIT_STEP;
+	// Round away float32 noise so repeated nudges land on clean steps.
+	return setStateWeight(stateIndex, Math.round(next * 1000) / 1000);
+}
+
+function promptStateWeight() {
+	const stateIndex = getWeightEditStateIndex();
+	const text = window.prompt(`Weight for state ${stateIndex + 1}:`, formatWeight(getWeights()[stateIndex]));
+	if (text == null || text.trim() === '') return false;
+	const value = Number(text);
+	if (!Number.isFinite(value)) {
+		showError();
+		return false;
+	}
+	return setStateWeight(stateIndex, value);
+}
+
+// Hand-set radii replace the even split until the ring count or neighbor range changes.
+function setRingRadii(ring, innerRadius, outerRadius) {
+	if (!isValidRingRadius(innerRadius, outerRadius)) {
+		showError();
+		return false;
+	}
+	const previousRingRadii = getRingRadiiState();
+	if (
+		applyRulespaceChange({
+			mutate: () => setRingRadius(ring, innerRadius, outerRadius),
+			restore: () => restoreRingRadiiState(previousRingRadii),
+		}) === false
+	)
+		return false;
+	showInfo(`Ring ${ring + 1}: ${innerRadius}–${outerRadius}`);
+}
+
+function paintCustomKernel(dx, dy, weight) {
+	const previousCustomKernel = getCustomKernelState();
+	const didPaint = applyRulespaceChange({
+		mutate: () => setCustomKernelWeight(dx, dy, weight),
+		restore: () => restoreCustomKernelState(previousCustomKernel),
+	});
+	if (didPaint === false) {
+		showError();
+		return false;
+	}
+}
+
 function cycleRingWeightPreset(direction = 1) {
 	const nPresets = RING_WEIGHT_PRESETS.length;
 	const previousPresetIdx = getRingWeightPresetIdx();
@@ -218,11 +402,92 @@ function cycleRingWeightPreset(direction = 1) {
 	showInfo(`Ring weights: ${label}`);
 }
 
-function toggleTransitionType() {
-	const hadInactive = swapTransitionType();
+function changeSumOrderTopK(direction) {
+	const sumOrderTopK = getSumOrderTopK();
+	const next = Math.min(MAX_SUM_ORDER_TOP_K, Math.max(1, sumOrderTopK + direction));
+	if (next !== sumOrderTopK) {
+		if (
+			applyRulespaceChange({
+				mutate: () => setSumOrderTopK(next),
+				restore: () => setSumOrderTopK(sumOrderTopK),
+				regenerateRuleset: true,
+			}) === false
+		)
+			return false;
+	}
+	showInfo(`Sum order ranks the top ${getSumOrderTopK()} state${getSumOrderTopK() === 1 ? '' : 's'}`);
+}
+
+// Every state moves on to counting the next (or previous) state, keeping the rules.
+function shiftTriggerStates(direction) {
+	const nStates = getNStates();
+	const previous = Array.from(getTriggerStates().slice(0, nStates));
+	if (
+		applyRulespaceChange({
+			mutate: () => previous.forEach((t, i) => setTriggerState(i, (t + direction + nStates) % nStates)),
+			restore: () => previous.forEach((t, i) => setTriggerState(i, t)),
+		}) === false
+	)
+		return false;
+	const triggers = getTriggerStates();
+	showInfo(`Counting: ${previous.map((_, i) => `${i + 1}→${triggers[i] + 1}`).join(', ')}`);
+}
+
+// N tunes the current transition type: the top K of Sum order, the alive states of Generations, or the
+// trigger states of State count.
+function changeTransitionParameter(direction) {
+	if (getTransitionType() === 1) return changeSumOrderTopK(direction);
+	if (getTransitionType() === GENERATIONS_TRANSITION_TYPE) return changeAliveStateCount(direction);
+	if (getTransitionType() === STATE_COUNT_TRANSITION_TYPE) return shiftTriggerStates(direction);
+	showInfo('Exact sum has nothing to tune; try Sum order, Generations or State count (T)');
+	return false;
+}
+
+function changeAliveStateCount(direction) {
+	const aliveStateCount = getAliveStateCount();
+	const next = Math.min(getNStates() - 1, Math.max(1, aliveStateCount + direction));
+	if (next !== aliveStateCount) {
+		if (
+			applyRulespaceChange({
+				mutate: () => setAliveStateCount(next),
+				restore: () => setAliveStateCount(aliveStateCount),
+				regenerateRuleset: true,
+			}) === false
+		)
+			return false;
+	}
+	const nDecayStates = getNStates() - 1 - getAliveStateCount();
+	showInfo(`Alive states: ${getAliveStateCount()}, decay states: ${nDecayStates}`);
+}
+
+// Switch between deterministic rules and rules that fire with a random probability per target state.
+function toggleStochasticRules() {
+	const previous = Array.from(getTransitionProbabilities());
+	const wasStochastic = hasStochasticRules();
+	if (
+		applyRulespaceChange({
+			mutate: () => {
+				if (wasStochastic) setTransitionProbabilities([]);
+				else randomizeTransitionProbabilities();
+			},
+			restore: () => setTransitionProbabilities(previous),
+		}) === false
+	)
+		return false;
+	if (!hasStochasticRules()) {
+		showInfo('Rules: deterministic');
+		return;
+	}
+	const probabilities = Array.from(getTransitionProbabilities().slice(0, getNStates()), formatProbability);
+	showInfo(`Rules fire with probability ${probabilities.join(', ')}`);
+}
+
+function toggleTransitionType(direction = 1) {
+	const hadInactive = swapTransitionType(direction);
 	if (!recalcMinNeighborWeight()) {
-		swapTransitionType();
-		if (!hadInactive) clearInactiveRules();
+		const failedType = getTransitionType();
+		swapTransitionType(-direction);
+		if (!hadInactive) clearInactiveRules(failedType);
 		showError();
 		return false;
 	}
@@ -244,18 +509,48 @@ tinykeys(window, {
 		Object.entries({
 			Enter: () => {
 				const encoded = syncUrlFromState();
-				if (encoded != null && encoded.length <= MAX_ENCODED_STATE_LENGTH) {
-					void save(displayShader, `ca-${encoded}.png`);
-				} else {
-					if (encoded?.length > MAX_ENCODED_STATE_LENGTH) {
-						window.alert(
-							`Encoded state exceeded ${MAX_ENCODED_STATE_LENGTH} characters; filename was truncated.`,
-						);
-					}
-					void save(displayShader, 'ca-export.png');
+				const filename =
+					encoded != null && encoded.length <= MAX_ENCODED_STATE_LENGTH ? `ca-${encoded}.png` : 'ca-export.png';
+				void saveImage(filename, encoded);
+			},
+			KeyJ: () => {
+				const encoded = syncUrlFromState();
+				const name = encoded != null && encoded.length <= MAX_ENCODED_STATE_LENGTH ? encoded : 'export';
+				downloadFile(`ca-${name}.json`, snapshotToRulesetJson(getStateSnapshot()), 'application/json');
+				showInfo('Ruleset saved');
+			},
+			'Shift+KeyJ': () => {
+				navigator.clipboard.writeText(snapshotToRulesetJson(getStateSnapshot())).then(
+					() => showInfo('Ruleset copied'),
+					() => showError(),
+				);
+			},
+			'Alt+KeyG': () => {
+				const encoded = syncUrlFromState();
+				const result = exportRuleFile(getStateSnapshot(), `CAFinder-${encoded?.slice(0, 12) ?? 'export'}`);
+				if (!result.ok) {
+					window.alert(`This ruleset can’t be exported to Golly or MCell: ${result.reason}.`);
+					return;
 				}
+				downloadFile(result.filename, result.text, 'text/plain');
+				showInfo(`Saved ${result.format}`);
+			},
+			KeyL: () => {
+				const text = window.prompt('Life-like or Generations rule, e.g. B3/S23, B36/S23 or 23/3/8:');
+				if (text == null) return;
+				const result = parseRuleString(text);
+				if (!result.ok) {
+					window.alert(`Can’t load “${text}”: ${result.reason}.`);
+					return;
+				}
+				importRule(result.rule);
 			},
 			KeyS: scramble,
+			'Shift+KeyS': syncUrl(() => {
+				reseedGrid();
+				scramble();
+				showInfo(`Grid seed: ${getGridSeed()}`);
+			}),
 			KeyD: () => {
 				const next = Math.min(2, resolutionMultiplier * 2);
 				if (next !== resolutionMultiplier) {
@@ -275,21 +570,28 @@ tinykeys(window, {
 			KeyC: syncUrl(() => updateColors()),
 			'Shift+KeyC': syncUrl(() => updateColors(-1)),
 			KeyF: syncUrl(() => {
+				if (getTransitionType() === GENERATIONS_TRANSITION_TYPE) {
+					showInfo('Generations always uses a rule table per state');
+					return false;
+				}
 				setIsSemitotalistic(!getIsSemitotalistic());
 				syncShaderUniforms();
 				finalizeRuleSemanticsChange();
 				showInfo(getIsSemitotalistic() ? 'Semitotalistic' : 'Totalistic');
 			}),
+			'Shift+KeyF': () => canonicalizeCurrentState(),
 			KeyR: syncUrl(() => {
 				setWrapBehaviour((getWrapBehaviour() + 1) % N_WRAP_BEHAVIOURS);
 				syncShaderUniforms();
-				showInfo(`${WRAP_BEHAVIOURS[getWrapBehaviour()]}`);
+				showWrapBehaviour();
 			}),
 			'Shift+KeyR': syncUrl(() => {
 				setWrapBehaviour((getWrapBehaviour() + N_WRAP_BEHAVIOURS - 1) % N_WRAP_BEHAVIOURS);
 				syncShaderUniforms();
-				showInfo(`${WRAP_BEHAVIOURS[getWrapBehaviour()]}`);
+				showWrapBehaviour();
 			}),
+			'Alt+KeyR': syncUrl(() => cycleBorderState(1)),
+			'Alt+Shift+KeyR': syncUrl(() => cycleBorderState(-1)),
 			KeyV: syncUrl(() => {
 				if (setPaletteOffset(getPaletteOffset() + 1) && displayShader)
 					displayShader.updateUniforms({ u_colors: getColorsForUniform() });
@@ -332,9 +634,33 @@ tinykeys(window, {
 			'Shift+KeyA': syncUrl(() => changeRingCount(-1)),
 			KeyW: syncUrl(() => cycleWeightDistribution(1)),
 			'Shift+KeyW': syncUrl(() => cycleWeightDistribution(-1)),
+			KeyK: () => selectWeightEditState(1),
+			'Shift+KeyK': () => selectWeightEditState(-1),
+			'Alt+KeyK': syncUrl(promptStateWeight),
+			KeyO: syncUrl(() => nudgeStateWeight(1)),
+			'Shift+KeyO': syncUrl(() => nudgeStateWeight(-1)),
 			KeyG: syncUrl(() => cycleRingWeightPreset(1)),
 			'Shift+KeyG': syncUrl(() => cycleRingWeightPreset(-1)),
-			KeyT: syncUrl(toggleTransitionType),
+			KeyT: syncUrl(() => toggleTransitionType(1)),
+			'Shift+KeyT': syncUrl(() => toggleTransitionType(-1)),
+			KeyP: syncUrl(() => toggleStochasticRules()),
+			KeyI: () => toggleSearch(),
+			'Shift+KeyI': () => reviewNextFind(),
+			'Alt+KeyI': () => editSearchThresholds(),
+			'Alt+Shift+KeyI': () => toggleSearchFindsToBank(),
+			KeyU: () => classifyCurrentRule({ force: true }),
+			'Shift+KeyU': () => cycleStuckAction(),
+			KeyY: () => togglePopulationOverlay(),
+			'Shift+KeyY': () => exportPopulationCsv(),
+			KeyB: () => breedFromSlots(0),
+			'Shift+KeyB': () => breedFromSlots(1),
+			KeyM: () => cycleMutationOperator(1),
+			'Shift+KeyM': () => cycleMutationOperator(-1),
+			'Alt+KeyM': () => changeMutationStrength(1),
+			'Alt+Shift+KeyM': () => changeMutationStrength(-1),
+			KeyN: syncUrl(() => changeTransitionParameter(1)),
+			'Shift+KeyN': syncUrl(() => changeTransitionParameter(-1)),
+			KeyH: syncUrl(toggleHexGrid),
 			ArrowRight: syncUrl(e => {
 				e.preventDefault();
 				redoRulesetChange();
@@ -380,12 +706,16 @@ precision mediump usampler2D;
 
 uniform usampler2D u_stateTexture;
 uniform vec3 u_colors[${MAX_N_STATES}];
+uniform int u_hexGrid;
+uniform ivec2 u_gridSize;
 
 in vec2 v_uv;
 out vec4 outColor;
-
+${HEX_GLSL}
 void main() {
-	uint cellState = texture(u_stateTexture, v_uv).r;
+	uint cellState = u_hexGrid == 1
+		? texelFetch(u_stateTexture, getHexCellAt(v_uv, u_gridSize), 0).r
+		: texture(u_stateTexture, v_uv).r;
 	outColor = vec4(u_colors[cellState].rgb, 1.0);
 }
 `;
@@ -429,13 +759,9 @@ let isPaused = false;
 
 const rulesetHistory = [];
 
+// The same seed and canvas size always give the same grid.
 function getRandomTextureData(width, height) {
-	const size = width * height;
-	const data = new Uint8Array(size);
-	for (let i = 0; i < size; ++i) {
-		data[i] = Math.floor(Math.random() * getNStates());
-	}
-	return data;
+	return getRandomGridData(width, height, getNStates(), createRandom(getGridSeed()));
 }
 
 function createShaders() {
@@ -460,13 +786,22 @@ uniform int u_isSemitotalistic;
 uniform int u_minNeighborWeight;
 uniform int u_neighborCount;
 uniform int u_wrapBehaviour;
+uniform int u_borderState;
 uniform uint u_nStates;
-uniform int u_frame;
+// highp, like cellRandom(): a mediump frame count could wrap after 32767 frames.
+uniform highp int u_frame;
 uniform int u_transitionType;
+uniform int u_aliveStateCount;
+uniform int u_sumOrderTopK;
+uniform int u_triggerStates[${MAX_N_STATES}];
+uniform highp float u_transitionProbabilities[${MAX_N_STATES}];
+uniform int u_hexGrid;
+uniform ivec2 u_gridSize;
 
 in vec2 v_uv;
 out uint outColor;
-
+${HEX_GLSL}
+${CELL_RANDOM_GLSL}
 uint wrapState(uint s) {
 	return s % u_nStates;
 }
@@ -493,9 +828,21 @@ vec2 mapCoord(vec2 coord) {
 	if (u_wrapBehaviour == 4) {
 		return vec2(fract(coord.x), fract(coord.y + floor(coord.x) * 0.5));
 	}
+	// Klein bottle: wrapping over the top or bottom edge mirrors left and right.
+	// Projective plane: wrapping over either edge mirrors the other axis.
+	if (u_wrapBehaviour == 5 || u_wrapBehaviour == 6) {
+		vec2 f = fract(coord);
+		bool flipX = mod(floor(coord.y), 2.0) == 1.0;
+		bool flipY = u_wrapBehaviour == 6 && mod(floor(coord.x), 2.0) == 1.0;
+		return vec2(flipX ? 1.0 - f.x : f.x, flipY ? 1.0 - f.y : f.y);
+	}
 	return clamp(coord, vec2(0.0), vec2(1.0));
 }
 
+bool isOutOfFrame(vec2 coord) {
+	return any(lessThan(coord, vec2(0.0))) || any(greaterThan(coord, vec2(1.0)));
+}
+
 uint getStateFromHistory(vec2 coord) {
 	coord = mapCoord(coord);
 	float z = historyZ(u_history, u_historyFrameOffset, 1);
@@ -503,6 +850,9 @@ uint getStateFromHistory(vec2 coord) {
 }
 
 uint getState(vec2 coord) {
+	if (u_wrapBehaviour == ${FIXED_WRAP_BEHAVIOUR} && isOutOfFrame(coord)) {
+		return wrapState(uint(u_borderState));
+	}
 	if (u_frame == 0) {
 		coord = mapCoord(coord);
 		return wrapState(texture(u_seed, coord).r);
@@ -510,9 +860,46 @@ uint getState(vec2 coord) {
 	return getStateFromHistory(coord);
 }
 
+// Hex grids address cells by texel instead of by UV, see hex.js.
+uint getCellState(ivec2 cell) {
+	if (u_frame == 0) {
+		return wrapState(texelFetch(u_seed, cell, 0).r);
+	}
+	int z = int(historyZ(u_history, u_historyFrameOffset, 1));
+	return wrapState(texelFetch(u_history, ivec3(cell, z), 0).r);
+}
+
+uint getNeighborState(vec2 offset) {
+	if (u_hexGrid == 1) {
+		ivec2 neighbor = getHexNeighbor(ivec2(gl_FragCoord.xy), offset);
+		bool isOutside = any(lessThan(neighbor, ivec2(0))) || any(greaterThanEqual(neighbor, u_gridSize));
+		if (u_wrapBehaviour == ${FIXED_WRAP_BEHAVIOUR} && isOutside) {
+			return wrapState(uint(u_borderState));
+		}
+		return getCellState(mapHexCell(neighbor, u_gridSize, u_wrapBehaviour));
+	}
+	return getState(v_uv + offset / u_resolution);
+}
+
 void main() {
-	vec2 onePixel = 1.0 / u_resolution;
-	uint state = getState(v_uv);
+	uint state;
+	if (u_hexGrid == 1) {
+		ivec2 cell = ivec2(gl_FragCoord.xy);
+		// Texels past the hex grid are never shown or read.
+		if (cell.x >= u_gridSize.x || cell.y >= u_gridSize.y) {
+			outColor = 0u;
+			return;
+		}
+		state = getCellState(cell);
+	} else {
+		state = getState(v_uv);
+	}
+
+	// Generations decay states step towards dead whatever their neighbors are.
+	if (u_transitionType == ${GENERATIONS_TRANSITION_TYPE} && int(state) > u_aliveStateCount) {
+		outColor = state + 1u < u_nStates ? state + 1u : 0u;
+		return;
+	}
 
 	int ruleIndex = 0;
 
@@ -524,46 +911,65 @@ void main() {
 		for (int i = 0; i < ${MAX_NEIGHBOR_CELLS}; i++) {
 			if (i >= u_neighborCount) break;
 			vec4 neighbor = texelFetch(u_neighborKernel, ivec2(i, 0), 0);
-			uint nState = getState(v_uv + neighbor.xy * onePixel);
+			uint nState = getNeighborState(neighbor.xy);
 			stateSums[nState] += neighbor.z;
 		}
 
-		// Find top 3 states by sum (ties go to lower index).
-		int top1 = 0, top2 = 0, top3 = 0;
-		float s1 = -3.402823e38, s2 = -3.402823e38, s3 = -3.402823e38;
+		// Find the top K states by sum (ties go to lower index).
+		int top[${MAX_SUM_ORDER_TOP_K}];
+		float topSums[${MAX_SUM_ORDER_TOP_K}];
+		for (int k = 0; k < ${MAX_SUM_ORDER_TOP_K}; k++) {
+			top[k] = 0;
+			topSums[k] = -3.402823e38;
+		}
 		for (int i = 0; i < ${MAX_N_STATES}; i++) {
 			if (i >= int(u_nStates)) break;
 			float sv = stateSums[i];
-			if (sv > s1) {
-				s3 = s2; top3 = top2;
-				s2 = s1; top2 = top1;
-				s1 = sv; top1 = i;
-			} else if (sv > s2) {
-				s3 = s2; top3 = top2;
-				s2 = sv; top2 = i;
-			} else if (sv > s3) {
-				s3 = sv; top3 = i;
+			for (int k = 0; k < ${MAX_SUM_ORDER_TOP_K}; k++) {
+				if (k >= u_sumOrderTopK || sv <= topSums[k]) continue;
+				for (int j = ${MAX_SUM_ORDER_TOP_K} - 1; j > k; j--) {
+					top[j] = top[j - 1];
+					topSums[j] = topSums[j - 1];
+				}
+				top[k] = i;
+				topSums[k] = sv;
+				break;
 			}
 		}
 
+		// Rank each top state among the states not already placed, as getSumOrderRuleIndex() does.
 		int ns = int(u_nStates);
-		if (ns == 2) {
-			ruleIndex = top1;
-		} else {
-			int top2Rank = top2;
-			if (top1 < top2) top2Rank -= 1;
-			int top3Rank = top3;
-			if (top1 < top3) top3Rank -= 1;
-			if (top2 < top3) top3Rank -= 1;
-			ruleIndex = top1 * (ns - 1) * (ns - 2) + top2Rank * (ns - 2) + top3Rank;
+		for (int pos = 0; pos < ${MAX_SUM_ORDER_TOP_K}; pos++) {
+			if (pos >= u_sumOrderTopK) break;
+			int rank = top[pos];
+			int suffixCount = 1;
+			for (int prev = 0; prev < ${MAX_SUM_ORDER_TOP_K}; prev++) {
+				if (prev >= pos) break;
+				if (top[prev] < top[pos]) rank--;
+			}
+			for (int slot = pos + 1; slot < ${MAX_SUM_ORDER_TOP_K}; slot++) {
+				if (slot >= u_sumOrderTopK) break;
+				suffixCount *= ns - slot;
+			}
+			ruleIndex += rank * suffixCount;
 		}
+	} else if (u_transitionType == ${STATE_COUNT_TRANSITION_TYPE}) {
+		// State count: sum the kernel weights of neighbors in this state's trigger state.
+		uint triggerState = uint(u_triggerStates[state]);
+		float count = 0.0;
+		for (int i = 0; i < ${MAX_NEIGHBOR_CELLS}; i++) {
+			if (i >= u_neighborCount) break;
+			vec4 neighbor = texelFetch(u_neighborKernel, ivec2(i, 0), 0);
+			if (getNeighborState(neighbor.xy) == triggerState) count += neighbor.z;
+		}
+		ruleIndex = int(floor(count)) - u_minNeighborWeight;
 	} else {
 		// Exact sum: sum neighbor weights, look up rule by sum.
 		float totalSum = 0.0;
 		for (int i = 0; i < ${MAX_NEIGHBOR_CELLS}; i++) {
 			if (i >= u_neighborCount) break;
 			vec4 neighbor = texelFetch(u_neighborKernel, ivec2(i, 0), 0);
-			uint nState = getState(v_uv + neighbor.xy * onePixel);
+			uint nState = getNeighborState(neighbor.xy);
 			totalSum += neighbor.z * u_weights[nState];
 		}
 
@@ -579,7 +985,11 @@ void main() {
 	if (newState == 0u) {
 		outColor = state;
 	} else {
-		outColor = wrapState(newState - 1u);
+		// Stochastic rules: the transition only happens with its target state's probability.
+		uint targetState = wrapState(newState - 1u);
+		highp float roll = cellRandom(ivec2(gl_FragCoord.xy), u_frame);
+		bool fires = roll < u_transitionProbabilities[targetState];
+		outColor = fires ? targetState : state;
 	}
 }
 `,
@@ -593,7 +1003,7 @@ void main() {
 	updateShader.initializeTexture('u_seed', { data: seedData, width: w, height: h }, R8UI_OPTIONS);
 	const neighborKernel = getNeighborKernelTexture();
 	updateShader.initializeTexture('u_neighborKernel', neighborKernel.texture, KERNEL_TEXTURE_OPTIONS);
-	updateShader.initializeUniform('u_weights', 'float', Array.from(getWeights()), { arrayLength: MAX_N_STATES });
+	updateShader.initializeUniform('u_weights', 'float', getSumWeightsForUniform(), { arrayLength: MAX_N_STATES });
 	updateShader.initializeTexture(
 		'u_rules',
 		{ data: getRulesByState(), width: MAX_N_RULES, height: MAX_N_STATES },
@@ -605,13 +1015,26 @@ void main() {
 	updateShader.initializeUniform('u_minNeighborWeight', 'int', 0);
 	updateShader.initializeUniform('u_neighborCount', 'int', neighborKernel.count);
 	updateShader.initializeUniform('u_wrapBehaviour', 'int', getWrapBehaviour());
+	updateShader.initializeUniform('u_borderState', 'int', getBorderState());
 	updateShader.initializeUniform('u_transitionType', 'int', getTransitionType());
+	updateShader.initializeUniform('u_aliveStateCount', 'int', getAliveStateCount());
+	updateShader.initializeUniform('u_sumOrderTopK', 'int', getSumOrderTopStateCount());
+	updateShader.initializeUniform('u_triggerStates', 'int', Array.from(getTriggerStates()), {
+		arrayLength: MAX_N_STATES,
+	});
+	updateShader.initializeUniform('u_transitionProbabilities', 'float', Array.from(getTransitionProbabilities()), {
+		arrayLength: MAX_N_STATES,
+	});
+	updateShader.initializeUniform('u_hexGrid', 'int', getHexGrid() ? 1 : 0);
+	updateShader.initializeUniform('u_gridSize', 'int', getGridSize(w, h));
 	updateShader.on('updateResolution', (width, height) => {
 		updateShader.reset();
 		updateShader.updateTextures({
 			u_seed: { data: getRandomTextureData(width, height), width, height },
 		});
+		syncGridUniforms(width, height);
 		if (displayShader) displayShader.updateTextures({ u_stateTexture: updateShader });
+		resetPopulation({ recreateShader: true });
 	});
 
 	displayShader = new ShaderPad(displayFsSource, {
@@ -620,6 +1043,20 @@ void main() {
 	});
 	displayShader.initializeTexture('u_stateTexture', updateShader, R8UI_OPTIONS);
 	displayShader.initializeUniform('u_colors', 'float', getColorsForUniform(), { arrayLength: MAX_N_STATES });
+	displayShader.initializeUniform('u_hexGrid', 'int', getHexGrid() ? 1 : 0);
+	displayShader.initializeUniform('u_gridSize', 'int', getGridSize(w, h));
+}
+
+// Cells simulated on a canvas: one per pixel, or a smaller grid of hexagons drawn several pixels wide.
+function getGridSize(width = canvas.width, height = canvas.height) {
+	return getHexGrid() ? getHexGridSize(width, height) : [width, height];
+}
+
+function syncGridUniforms(width, height) {
+	const uniforms = { u_hexGrid: getHexGrid() ? 1 : 0, u_gridSize: getGridSize(width, height) };
+	updateShader?.updateUniforms(uniforms);
+	displayShader?.updateUniforms(uniforms);
+	needsDisplayUpdate = true;
 }
 
 const MAX_RULESET_HISTORY = 128;
@@ -667,6 +1104,7 @@ function pushRulesetToHistory() {
 		rulesetHistory.shift();
 	}
 	rulesetHistoryIndex = rulesetHistory.length - 1;
+	if (stuckActionIdx !== 0) classifyCurrentRule();
 	return true;
 }
 
@@ -712,6 +1150,10 @@ function applyRulesToShader(ruleCount) {
 			u_isSemitotalistic: getIsSemitotalistic() ? 1 : 0,
 			u_minNeighborWeight: getMinNeighborWeight(),
 			u_transitionType: getTransitionType(),
+			u_aliveStateCount: getAliveStateCount(),
+			u_sumOrderTopK: getSumOrderTopStateCount(),
+			u_triggerStates: Array.from(getTriggerStates()),
+			u_transitionProbabilities: Array.from(getTransitionProbabilities()),
 		});
 	}
 }
@@ -719,29 +1161,78 @@ function applyRulesToShader(ruleCount) {
 function generateNewRuleset() {
 	const canonCount = getCurrentRuleCount();
 	if (canonCount < 1) return false;
+	if (getTransitionType() === STATE_COUNT_TRANSITION_TYPE) randomizeTriggerStates();
+	if (hasStochasticRules()) randomizeTransitionProbabilities();
 	getRulesByState().fill(0);
 	for (let stateIndex = 0; stateIndex < MAX_N_STATES; stateIndex++) {
-		setRuleset(canonCount, stateIndex, createRandomRuleset(canonCount));
+		setRuleset(canonCount, stateIndex, createRandomRuleset(canonCount, getIsSemitotalistic() ? stateIndex : undefined));
 	}
 	applyRulesToShader(getCurrentRuleCount());
 	return true;
 }
 
+let mutationOperatorIdx = 0;
+let mutationStrength = 1;
+
+function describeMutation() {
+	return `${MUTATION_OPERATORS[mutationOperatorIdx].label} ×${mutationStrength}`;
+}
+
+function cycleMutationOperator(direction) {
+	const n = MUTATION_OPERATORS.length;
+	mutationOperatorIdx = (mutationOperatorIdx + direction + n) % n;
+	showInfo(`Mutation: ${describeMutation()}`);
+}
+
+function changeMutationStrength(direction) {
+	mutationStrength = Math.min(MAX_MUTATION_STRENGTH, Math.max(1, mutationStrength + direction));
+	showInfo(`Mutation: ${describeMutation()}`);
+}
+
+// Vary the rules with the selected operator; the shared table is row 0 unless semitotalistic.
 function mutateRuleset() {
 	const canonCount = getCurrentRuleCount();
 	if (canonCount < 1) return false;
-	if (getIsSemitotalistic()) {
-		const targetState = Math.floor(Math.random() * getNStates());
-		setRuleset(canonCount, targetState, createRandomRuleset(canonCount));
-	} else {
-		const rules = getRulesByState();
-		const i = Math.floor(Math.random() * canonCount);
-		rules[i] = Math.random() < getCellInertia() ? 0 : Math.floor(Math.random() * (getNStates() + 1));
+	const isSemitotalistic = getIsSemitotalistic();
+	const rows = Array.from({ length: isSemitotalistic ? getNStates() : 1 }, (_, stateIndex) =>
+		getRuleset(canonCount, stateIndex),
+	);
+	const result = mutateRows(rows, mutationOperatorIdx, mutationStrength, {
+		ruleCount: canonCount,
+		nStates: getNStates(),
+		createRandomRow: stateIndex => createRandomRuleset(canonCount, isSemitotalistic ? stateIndex : undefined),
+		isAllowedRule,
+	});
+	if (!result.ok) {
+		showInfo(result.reason);
+		return false;
 	}
 	applyRulesToShader(getCurrentRuleCount());
+	showInfo(`Mutated: ${describeMutation()}`);
+	return true;
+}
+
+// Set one entry of a rule table (0 = no change, n = become state n - 1), as an undoable ruleset change.
+function setRule(stateIndex, ruleIndex, rule) {
+	const ruleCount = getCurrentRuleCount();
+	if (ruleIndex < 0 || ruleIndex >= ruleCount || rule < 0 || rule > getNStates()) return false;
+	if (!isAllowedRule(stateIndex, rule)) return false;
+	const ruleset = getRuleset(ruleCount, stateIndex).slice();
+	if (ruleset[ruleIndex] === rule) return false;
+	ruleset[ruleIndex] = rule;
+	setRuleset(ruleCount, stateIndex, ruleset);
+	applyRulesToShader(ruleCount);
+	finalizeRuleSemanticsChange();
 	return true;
 }
 
+// Per-state sum weights, padded to the uniform's length.
+function getSumWeightsForUniform() {
+	const sumWeights = new Float32Array(getWeights());
+	sumWeights.set(getNeighborSumWeights());
+	return Array.from(sumWeights);
+}
+
 function syncShaderUniforms() {
 	if (!updateShader) return;
 	const ruleCount = getCurrentRuleCount();
@@ -751,15 +1242,21 @@ function syncShaderUniforms() {
 		u_neighborKernel: neighborKernel.texture,
 	});
 	updateShader.updateUniforms({
-		u_weights: Array.from(getWeights()),
+		u_weights: getSumWeightsForUniform(),
 		u_nStates: getNStates(),
 		u_nRules: ruleCount,
 		u_isSemitotalistic: getIsSemitotalistic() ? 1 : 0,
 		u_minNeighborWeight: getMinNeighborWeight(),
 		u_neighborCount: neighborKernel.count,
 		u_wrapBehaviour: getWrapBehaviour(),
+		u_borderState: getBorderState(),
 		u_transitionType: getTransitionType(),
+		u_aliveStateCount: getAliveStateCount(),
+		u_sumOrderTopK: getSumOrderTopStateCount(),
+		u_triggerStates: Array.from(getTriggerStates()),
+		u_transitionProbabilities: Array.from(getTransitionProbabilities()),
 	});
+	syncGridUniforms();
 }
 
 const N_BANKS = 100;
@@ -792,16 +1289,294 @@ function memoryKey(bank, slot) {
 	return `${bank}-${slot}`;
 }
 
+// Canonical keys of encoded states, null for ones that don't decode.
+const canonicalKeys = new Map();
+
+function getCanonicalKeyForEncoded(encoded) {
+	if (!canonicalKeys.has(encoded)) {
+		const result = decodeSnapshot(encoded);
+		canonicalKeys.set(encoded, result.ok ? getCanonicalKey(result.snapshot) : null);
+	}
+	return canonicalKeys.get(encoded);
+}
+
+// The first slot, other than `exceptKey`, holding rules that behave the same as `encoded`.
+function findDuplicateSlot(encoded, exceptKey) {
+	const canonicalKey = getCanonicalKeyForEncoded(encoded);
+	if (canonicalKey == null) return null;
+	const isDuplicate = key => key !== exceptKey && getCanonicalKeyForEncoded(memory[key]) === canonicalKey;
+	return Object.keys(memory).find(isDuplicate) ?? null;
+}
+
 function saveToSlot(n) {
 	const encoded = encodeState();
 	if (!encoded) return;
 	const key = memoryKey(currentBank, n);
+	const duplicateKey = findDuplicateSlot(encoded, key);
 	memory[key] = encoded;
 	saveToStorage();
-	showInfo(`Memory saved to ${key}`);
+	showInfo(duplicateKey ? `Memory saved to ${key}, but ${duplicateKey} has the same rules` : `Memory saved to ${key}`);
 	showBankSlots();
 }
 
+function canonicalizeCurrentState() {
+	const snapshot = getStateSnapshot();
+	if (!snapshot) return false;
+	const canonical = canonicalizeSnapshot(snapshot);
+	if (encodeSnapshot(canonical) === encodeSnapshot(snapshot)) {
+		showInfo('Already canonical');
+		return false;
+	}
+	if (!importSnapshot(canonical)) return false;
+	showInfo('Canonicalized');
+	return true;
+}
+
+// Auto-search: score random rulesets for the current rulespace one at a time in a worker, and keep the
+// ones that clear the thresholds in a review queue (or straight in the current bank).
+let isSearching = false;
+let searchWorker = null;
+let searchCandidate = null;
+let searchThresholds = { ...DEFAULT_SEARCH_THRESHOLDS };
+let searchFindsToBank = false;
+let searchTried = 0;
+const searchFinds = [];
+// Candidates can come back many times a second, so the progress line is only rewritten this often.
+const SEARCH_PROGRESS_INTERVAL = 500;
+let lastSearchProgressTime = 0;
+
+function createCandidateSnapshot() {
+	const snapshot = getStateSnapshot();
+	const ruleCount = snapshot.ruleCount;
+	if (ruleCount < 1) return null;
+	const stored = snapshot.isSemitotalistic ? snapshot.nStates : 1;
+	const rulesByState = Array.from({ length: stored }, (_, stateIndex) =>
+		Array.from(createRandomRuleset(ruleCount, snapshot.isSemitotalistic ? stateIndex : undefined)),
+	);
+	return { ...snapshot, rulesByState };
+}
+
+// Save into the first empty slot of the current bank, in key order 1–9 then 0.
+function saveToEmptySlot(encoded) {
+	for (let i = 0; i < SLOTS_PER_BANK; i++) {
+		const key = memoryKey(currentBank, (i + 1) % SLOTS_PER_BANK);
+		if (memory[key]) continue;
+		memory[key] = encoded;
+		saveToStorage();
+		return key;
+	}
+	return null;
+}
+
+function searchStep() {
+	if (!isSearching) return;
+	searchCandidate = createCandidateSnapshot();
+	if (!searchCandidate) {
+		isSearching = false;
+		showError();
+		return;
+	}
+	if (!searchWorker) {
+		searchWorker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+		searchWorker.addEventListener('message', ({ data }) => onSearchResult(data.metrics));
+	}
+	searchWorker.postMessage({ snapshot: searchCandidate, seed: getGridSeed() });
+}
+
+function onSearchResult(metrics) {
+	const candidate = searchCandidate;
+	searchCandidate = null;
+	if (!isSearching) return;
+	searchTried++;
+	if (passesThresholds(metrics, searchThresholds)) {
+		const encoded = encodeSnapshot(candidate);
+		const key = searchFindsToBank ? saveToEmptySlot(encoded) : null;
+		if (key) {
+			showInfo(`Search: saved a find to ${key} (${searchTried} tried)`);
+			showBankSlots();
+		} else {
+			searchFinds.push(encoded);
+			showInfo(`Search: ${searchFinds.length} to review (${searchTried} tried)`);
+		}
+	} else if (performance.now() - lastSearchProgressTime >= SEARCH_PROGRESS_INTERVAL) {
+		lastSearchProgressTime = performance.now();
+		showInfo(`Searching… ${searchTried} tried, ${searchFinds.length} to review`);
+	}
+	searchStep();
+}
+
+function toggleSearch() {
+	isSearching = !isSearching;
+	if (!isSearching) {
+		showInfo(`Search stopped: ${searchTried} tried, ${searchFinds.length} to review`);
+		return;
+	}
+	searchTried = 0;
+	// A candidate still being scored carries on the search when it comes back.
+	if (!searchCandidate) searchStep();
+}
+
+function reviewNextFind() {
+	const encoded = searchFinds.shift();
+	if (!encoded) {
+		showInfo('No finds to review');
+		return false;
+	}
+	const result = decodeSnapshot(encoded);
+	if (!result.ok || !importSnapshot(result.snapshot)) return false;
+	showInfo(`Reviewing a find, ${searchFinds.length} left`);
+}
+
+function editSearchThresholds() {
+	const text = window.prompt(
+		'Search thresholds: minimum entropy, activity range and minimum autocorrelation',
+		formatThresholds(searchThresholds),
+	);
+	if (text == null) return;
+	const result = parseThresholds(text);
+	if (!result.ok) {
+		window.alert(`Invalid thresholds: ${result.reason}.`);
+		return;
+	}
+	searchThresholds = result.thresholds;
+	showInfo(`Search thresholds: ${formatThresholds(searchThresholds)}`);
+}
+
+function toggleSearchFindsToBank() {
+	searchFindsToBank = !searchFindsToBank;
+	showInfo(searchFindsToBank ? `Search finds go to bank ${currentBank}` : 'Search finds go to the review queue');
+}
+
+// Long-run behaviour: classify the current rules in a worker (on a small preview grid from the grid seed),
+// and optionally scramble or move on to the next candidate when they get stuck. The preview runs far ahead
+// of the live grid, so the action waits until the live grid has run as many steps as the preview needed.
+const STUCK_ACTIONS = ['Keep running', 'Scramble', 'Next candidate'];
+let stuckActionIdx = 0;
+let classifyWorker = null;
+let classifyingEncoded = null;
+let lastBehaviour = null;
+// Live steps since the rules were sent for classifying or the grid was last scrambled.
+let stepsSinceClassifyStart = 0;
+let pendingStuckAction = null;
+
+function getCurrentBehaviour() {
+	return lastBehaviour && lastBehaviour.encoded === encodeState() ? lastBehaviour.result : null;
+}
+
+function classifyCurrentRule({ force = false } = {}) {
+	const encoded = encodeState();
+	if (encoded == null || encoded === classifyingEncoded) return;
+	const behaviour = getCurrentBehaviour();
+	if (behaviour && !force) return;
+	if (behaviour) {
+		showInfo(describeBehaviour(behaviour));
+		return;
+	}
+	// A job for rules that are no longer current could run for seconds, so drop it rather than queue behind it.
+	if (classifyingEncoded != null) {
+		classifyWorker.terminate();
+		classifyWorker = null;
+	}
+	if (!classifyWorker) {
+		classifyWorker = new Worker(new URL('./classify-worker.js', import.meta.url), { type: 'module' });
+		classifyWorker.addEventListener('message', ({ data }) => onBehaviourClassified(data.id, data.result));
+	}
+	classifyingEncoded = encoded;
+	stepsSinceClassifyStart = 0;
+	pendingStuckAction = null;
+	classifyWorker.postMessage({ id: encoded, snapshot: getStateSnapshot(), seed: getGridSeed() });
+	showInfo('Classifying…');
+}
+
+function onBehaviourClassified(encoded, result) {
+	if (encoded === classifyingEncoded) classifyingEncoded = null;
+	// The state changed while the worker was busy, so this result is out of date.
+	if (encoded !== encodeState()) return;
+	lastBehaviour = { encoded, result };
+	showInfo(describeBehaviour(result));
+	if (instructionsContainer.classList.contains('show') && !explainView.classList.contains('hide')) {
+		const { scrollTop } = instructionsContainer;
+		showExplainPanel();
+		instructionsContainer.scrollTop = scrollTop;
+	}
+	if (isStuck(result) && stuckActionIdx !== 0) {
+		const period = result.kind === 'fixed' ? 1 : result.period;
+		pendingStuckAction = { encoded, dueStep: result.step + period };
+	}
+}
+
+// Called every live step; acts once the live grid has had the time the preview needed to get stuck.
+function checkPendingStuckAction() {
+	if (!pendingStuckAction || stepsSinceClassifyStart < pendingStuckAction.dueStep) return;
+	const { encoded } = pendingStuckAction;
+	pendingStuckAction = null;
+	if (encoded === encodeState()) actOnStuckRule();
+}
+
+function actOnStuckRule() {
+	switch (STUCK_ACTIONS[stuckActionIdx]) {
+		case 'Scramble':
+			// The same seed would replay the same run, so start from a fresh one.
+			reseedGrid();
+			scramble();
+			syncUrlFromState();
+			break;
+		case 'Next candidate':
+			if (searchFinds.length > 0) {
+				reviewNextFind();
+			} else if (generateNewRuleset()) {
+				pushRulesetToHistory();
+				syncUrlFromState();
+			}
+			break;
+	}
+}
+
+function cycleStuckAction() {
+	stuckActionIdx = (stuckActionIdx + 1) % STUCK_ACTIONS.length;
+	showInfo(`When stuck: ${STUCK_ACTIONS[stuckActionIdx]}`);
+	if (stuckActionIdx !== 0) classifyCurrentRule();
+}
+
+let lastBreedingPair = '';
+
+// Cross the rules of two slots in the current bank; each call makes another sibling on the history.
+function breedFromSlots(crossoverIdx) {
+	const crossover = CROSSOVER_TYPES[crossoverIdx];
+	const text = window.prompt(
+		`${crossover} crossover of two memory slots in bank ${currentBank}, e.g. 3 7:`,
+		lastBreedingPair,
+	);
+	if (text == null) return false;
+	const slots = text.match(/\d/g) ?? [];
+	if (slots.length !== 2) {
+		showInfo('Pick two slots, 0–9');
+		return false;
+	}
+	lastBreedingPair = slots.join(' ');
+	const parents = [];
+	for (const slot of slots) {
+		const encoded = memory[memoryKey(currentBank, slot)];
+		if (!encoded) {
+			showInfo(`Memory ${memoryKey(currentBank, slot)} is empty`);
+			return false;
+		}
+		const result = decodeSnapshot(encoded);
+		if (!result.ok) {
+			showError();
+			return false;
+		}
+		parents.push(result.snapshot);
+	}
+	const child = breedSnapshots(parents[0], parents[1], crossoverIdx);
+	if (!child.ok) {
+		window.alert(`Slots ${slots.join(' and ')} can’t be bred: ${child.reason}.`);
+		return false;
+	}
+	if (!importSnapshot(child.snapshot)) return false;
+	showInfo(`${crossover} child of ${slots.map(slot => memoryKey(currentBank, slot)).join(' × ')}`);
+}
+
 function applySlot(n, { preservePalette = false } = {}) {
 	const key = memoryKey(currentBank, n);
 	const encoded = memory[key];
@@ -881,6 +1656,7 @@ function syncUrlFromState() {
 function applyAfterUnpack(ruleCount, { resetHistory = true } = {}) {
 	generateRingRadii();
 	applyColorsFromPalette();
+	setCanvasSize();
 	if (updateShader) {
 		syncShaderUniforms();
 		applyRulesToShader(ruleCount);
@@ -913,14 +1689,15 @@ function updateUniformsKeepRuleset(previousRuleCount = getCurrentRuleCount()) {
 }
 
 function setNeighborRange(newNeighborRange, keepRuleset = false) {
-	const previousNeighborRange = getNeighborRange();
+	const previousRingRadii = getRingRadiiState();
 	const previousRuleCount = getCurrentRuleCount();
 	const previousRuleCountOverride = getRuleCountOverride();
+	clearCustomRingRadii();
 	setNeighborRangeValue(newNeighborRange);
 	clearRuleCountOverride();
 	const didUpdate = keepRuleset ? updateUniformsKeepRuleset(previousRuleCount) : updateUniforms();
 	if (!didUpdate) {
-		setNeighborRangeValue(previousNeighborRange);
+		restoreRingRadiiState(previousRingRadii);
 		return rollbackRulespaceChange(undefined, previousRuleCountOverride);
 	}
 	finalizeRuleSemanticsChange();
@@ -955,6 +1732,14 @@ function showInfo(text) {
 	hideInfoTimeout = window.setTimeout(() => infoContainer.classList.remove('show'), 2000);
 }
 
+// A ?seed= in the URL seeds the shared PRNG before anything is drawn from it, so the starting rules, grid
+// and every ruleset generated after them come out the same on each visit.
+const urlSeed = new URLSearchParams(location.search).get('seed');
+if (urlSeed !== null && /^\d+$/.test(urlSeed)) {
+	seedRandom(Number(urlSeed));
+	reseedGrid();
+}
+
 updateWeights(0);
 updateColors(0);
 setNeighborRange(4);
@@ -967,10 +1752,36 @@ instructionsContainer.querySelector('.start-button')?.addEventListener('click',
 	instructionsContainer.classList.remove('show');
 });
 
-document.getElementById('explain-ruleset-btn')?.addEventListener('click', () => {
+function showExplainPanel() {
 	const snapshot = getStateSnapshot();
 	if (!snapshot) return;
-	const panel = renderExplainPanel(snapshot);
+	const behaviour = getCurrentBehaviour();
+	if (!behaviour) classifyCurrentRule();
+	// Edits change the neighborhood grid and transition table, so redraw and keep the edited field in view.
+	const redrawAfterEdit = (result, fieldSelector) => {
+		if (result === false) return false;
+		const { scrollTop } = instructionsContainer;
+		showExplainPanel();
+		instructionsContainer.scrollTop = scrollTop;
+		explainView.querySelector(fieldSelector)?.focus();
+	};
+	const panel = renderExplainPanel(snapshot, {
+		onWeightChange: (stateIndex, value) =>
+			redrawAfterEdit(syncUrl(setStateWeight)(stateIndex, value), `[data-state-index="${stateIndex}"]`),
+		onRingRadiiChange: (ring, innerRadius, outerRadius, field) =>
+			redrawAfterEdit(
+				syncUrl(setRingRadii)(ring, innerRadius, outerRadius),
+				`[data-ring="${ring}"][data-radius="${field}"]`,
+			),
+		onKernelPaint: (dx, dy, weight) =>
+			redrawAfterEdit(syncUrl(paintCustomKernel)(dx, dy, weight), `[data-dx="${dx}"][data-dy="${dy}"]`),
+		onRuleChange: (stateIndex, ruleIndex, rule) =>
+			redrawAfterEdit(
+				syncUrl(setRule)(stateIndex, ruleIndex, rule),
+				`[data-rule="${ruleIndex}"][data-rule-state="${stateIndex}"]`,
+			),
+		behaviour,
+	});
 	explainView.innerHTML = '';
 	explainView.appendChild(panel);
 	instructionsView?.classList.add('hide');
@@ -983,12 +1794,29 @@ document.getElementById('explain-ruleset-btn')?.addEventListener('click', () =>
 	panel._takeLookBtn?.addEventListener('click', () => {
 		instructionsContainer.classList.remove('show');
 	});
-});
+	panel._copyMarkdownBtn?.addEventListener('click', () => {
+		navigator.clipboard.writeText(explanationToMarkdown(snapshot)).then(
+			() => showInfo('Copied as Markdown'),
+			() => showError(),
+		);
+	});
+	panel._downloadTextBtn?.addEventListener('click', () => {
+		downloadFile('ca-rule.txt', explanationToText(snapshot), 'text/plain');
+	});
+	panel._downloadSvgBtn?.addEventListener('click', () => {
+		downloadFile('ca-neighborhood.svg', explanationToSvg(snapshot), 'image/svg+xml');
+	});
+}
+
+document.getElementById('explain-ruleset-btn')?.addEventListener('click', showExplainPanel);
 
 function setCanvasSize() {
 	const dpr = window.devicePixelRatio || 1;
-	const w = Math.max(1, Math.floor(window.innerWidth * dpr * resolutionMultiplier));
-	const h = Math.max(1, Math.floor(window.innerHeight * dpr * resolutionMultiplier));
+	// Hex cells are drawn HEX_CELL_SIZE pixels wide, so the canvas grows to keep a similar cell count, up to
+	// the same 2× limit as square grids. Above 2 / HEX_CELL_SIZE density, hex grids have fewer cells.
+	const multiplier = getHexGrid() ? Math.min(2, resolutionMultiplier * HEX_CELL_SIZE) : resolutionMultiplier;
+	const w = Math.max(1, Math.floor(window.innerWidth * dpr * multiplier));
+	const h = Math.max(1, Math.floor(window.innerHeight * dpr * multiplier));
 	if (canvas.width !== w || canvas.height !== h) {
 		canvas.width = w;
 		canvas.height = h;
@@ -1005,6 +1833,119 @@ function scramble() {
 	const { width, height } = canvas;
 	updateShader.reset();
 	updateShader.updateTextures({ u_seed: { data: getRandomTextureData(width, height), width, height } });
+	resetPopulation();
+	// The preview ran from a fresh grid too, so a pending stuck action counts from here.
+	stepsSinceClassifyStart = 0;
+}
+
+// Counts states down each column of the grid: row s holds the count of state s, and the row after the
+// last state counts cells that differ from the previous frame. Counts are packed into the RGB bytes of an
+// ordinary 8-bit output, which ShaderPad draws to the canvas, where readPixels() can reach it.
+const populationFsSource = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp usampler2DArray;
+
+uniform usampler2DArray u_stateTexture;
+uniform int u_stateTextureFrameOffset;
+uniform int u_nStates;
+uniform ivec2 u_gridSize;
+
+in vec2 v_uv;
+out vec4 outCount;
+
+void main() {
+	ivec2 texel = ivec2(gl_FragCoord.xy);
+	outCount = vec4(0.0, 0.0, 0.0, 1.0);
+	if (texel.x >= u_gridSize.x || texel.y > u_nStates) return;
+	int z = int(historyZ(u_stateTexture, u_stateTextureFrameOffset, 0));
+	int previousZ = int(historyZ(u_stateTexture, u_stateTextureFrameOffset, 1));
+	uint count = 0u;
+	for (int y = 0; y < u_gridSize.y; y++) {
+		uint state = texelFetch(u_stateTexture, ivec3(texel.x, y, z), 0).r;
+		if (texel.y == u_nStates) {
+			if (state != texelFetch(u_stateTexture, ivec3(texel.x, y, previousZ), 0).r) count++;
+		} else if (state == uint(texel.y)) {
+			count++;
+		}
+	}
+	outCount.rgb = vec3(uvec3(count, count >> 8u, count >> 16u) & 255u) / 255.0;
+}
+`;
+
+// Counting every frame stalls on the readback, so it only runs while the overlay is shown.
+let isPopulationShown = false;
+let populationShader = null;
+let populationSeries = createPopulationSeries(getNStates());
+let populationStep = 0;
+let populationHasPrevious = false;
+const populationCanvas = document.getElementById('population');
+const populationContext = populationCanvas.getContext('2d');
+
+function getOrCreatePopulationShader() {
+	if (populationShader) return populationShader;
+	populationShader = new ShaderPad(populationFsSource, {
+		canvas,
+		plugins: [helpers()],
+		minFilter: 'NEAREST',
+		magFilter: 'NEAREST',
+	});
+	populationShader.initializeTexture('u_stateTexture', updateShader, { ...R8UI_OPTIONS, history: 2 });
+	populationShader.initializeUniform('u_nStates', 'int', getNStates());
+	populationShader.initializeUniform('u_gridSize', 'int', getGridSize());
+	populationHasPrevious = false;
+	return populationShader;
+}
+
+function destroyPopulationShader() {
+	populationShader?.destroy();
+	populationShader = null;
+	populationHasPrevious = false;
+}
+
+// The series is only started over when the grid starts over; hiding the overlay keeps it for export.
+function resetPopulation({ recreateShader = false } = {}) {
+	if (recreateShader) destroyPopulationShader();
+	populationSeries = createPopulationSeries(getNStates());
+	populationStep = 0;
+	populationHasPrevious = false;
+}
+
+function samplePopulation() {
+	const nStates = getNStates();
+	if (nStates !== populationSeries.nStates) resetPopulation();
+	const shader = getOrCreatePopulationShader();
+	const [gridWidth] = getGridSize();
+	shader.updateTextures({ u_stateTexture: updateShader });
+	shader.updateUniforms({ u_nStates: nStates, u_gridSize: getGridSize() });
+	shader.draw();
+	const { gl } = shader;
+	const pixels = new Uint8Array(gridWidth * (nStates + 1) * 4);
+	gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+	gl.readPixels(0, 0, gridWidth, nStates + 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+	// The counts overwrote the canvas, so the grid has to be drawn again.
+	needsDisplayUpdate = true;
+	const { counts, changes } = sumPopulationCounts(pixels, gridWidth, nStates);
+	addPopulationSample(populationSeries, populationStep, counts, populationHasPrevious ? changes : null);
+	populationHasPrevious = true;
+	drawPopulationOverlay(populationContext, populationSeries, getColorsForUniform());
+}
+
+function togglePopulationOverlay() {
+	isPopulationShown = !isPopulationShown;
+	populationCanvas.classList.toggle('show', isPopulationShown);
+	if (isPopulationShown) samplePopulation();
+	else destroyPopulationShader();
+	showInfo(isPopulationShown ? 'Population: on' : 'Population: off');
+}
+
+function exportPopulationCsv() {
+	if (populationSeries.samples.length === 0) {
+		showInfo('No population data: show it with Y first');
+		return;
+	}
+	downloadFile('ca-population.csv', populationSeriesToCsv(populationSeries), 'text/csv');
+	showInfo(`Saved ${populationSeries.samples.length} frames of population`);
 }
 
 setCanvasSize();
@@ -1035,12 +1976,23 @@ precision mediump float;
 uniform sampler2D u_image;
 uniform vec3 u_paletteColors[${MAX_N_STATES}];
 uniform int u_nStates;
+uniform int u_hexGrid;
+uniform ivec2 u_gridSize;
 
 in vec2 v_uv;
 out uint outColor;
 
 void main() {
-	vec3 pixel = texture(u_image, v_uv).rgb;
+	vec2 uv = v_uv;
+	if (u_hexGrid == 1) {
+		ivec2 cell = ivec2(gl_FragCoord.xy);
+		if (cell.x >= u_gridSize.x || cell.y >= u_gridSize.y) {
+			outColor = 0u;
+			return;
+		}
+		uv = (vec2(cell) + 0.5) / vec2(u_gridSize);
+	}
+	vec3 pixel = texture(u_image, uv).rgb;
 	float bestDist = 1e10;
 	uint bestState = 0u;
 	for (int i = 0; i < ${MAX_N_STATES}; i++) {
@@ -1080,16 +2032,31 @@ function getOrCreateImageSeedShader() {
 	);
 	imageSeedShader.initializeUniform('u_paletteColors', 'float', getColorsForUniform(), { arrayLength: MAX_N_STATES });
 	imageSeedShader.initializeUniform('u_nStates', 'int', getNStates());
+	imageSeedShader.initializeUniform('u_hexGrid', 'int', getHexGrid() ? 1 : 0);
+	imageSeedShader.initializeUniform('u_gridSize', 'int', getGridSize());
 	return imageSeedShader;
 }
 
 const B64URL_CHARS = /^[A-Za-z0-9_-]*/;
 
-function handleImageDrop(file) {
-	const filename = file.name.replace(/\.[^.]+$/, '');
-	if (!filename.startsWith('ca-')) return;
+function getEncodedStateFromFilename(name) {
+	const filename = name.replace(/\.[^.]+$/, '');
+	if (!filename.startsWith('ca-')) return null;
+	return filename.slice(3).match(B64URL_CHARS)?.[0] ?? '';
+}
+
+async function readEncodedStateFromImage(file) {
+	if (file.type !== 'image/png') return null;
+	try {
+		return readPngText(new Uint8Array(await file.arrayBuffer()), PNG_STATE_KEYWORD);
+	} catch {
+		return null;
+	}
+}
 
-	const encoded = filename.slice(3).match(B64URL_CHARS)?.[0] ?? '';
+async function handleImageDrop(file) {
+	const encoded = (await readEncodedStateFromImage(file)) ?? getEncodedStateFromFilename(file.name);
+	if (encoded == null) return;
 	if (!encoded) {
 		showError();
 		return;
@@ -1126,6 +2093,85 @@ function handleImageDrop(file) {
 	img.src = objectUrl;
 }
 
+// The filename only fits short states, so the full state also goes in a PNG text chunk.
+async function saveImage(filename, encoded) {
+	try {
+		const blob = await toBlob(displayShader, { type: 'image/png' });
+		let png = new Uint8Array(await blob.arrayBuffer());
+		if (encoded != null) png = addPngText(png, PNG_STATE_KEYWORD, encoded);
+		downloadFile(filename, png, 'image/png');
+	} catch (err) {
+		console.error('saveImage: export failed', err);
+		showError();
+	}
+}
+
+function downloadFile(filename, contents, type) {
+	const url = URL.createObjectURL(new Blob([contents], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+function importSnapshot(snapshot) {
+	const didRestore = restoreStateFromUrl(encodeSnapshot(snapshot), ruleCount => {
+		applyAfterUnpack(ruleCount, { resetHistory: false });
+	});
+	if (!didRestore) {
+		showError();
+		return false;
+	}
+	pushRulesetToHistory();
+	syncUrlFromState();
+	scramble();
+	return true;
+}
+
+function importRulesetJson(text) {
+	const result = rulesetJsonToSnapshot(text);
+	if (!result.ok) {
+		console.error('importRulesetJson: invalid ruleset', result.reason, result);
+		showError();
+		return false;
+	}
+	if (!importSnapshot(result.snapshot)) return false;
+	showInfo('Loaded ruleset');
+	return true;
+}
+
+function importRule(rule) {
+	const snapshot = ruleToSnapshot(rule, {
+		cellInertia: getCellInertia(),
+		wrapBehaviour: getWrapBehaviour(),
+		borderState: getBorderState(),
+		currentPaletteId: getCurrentPaletteId(),
+		paletteOffset: getPaletteOffset(),
+	});
+	if (!importSnapshot(snapshot)) return false;
+	showInfo(rule.name);
+	return true;
+}
+
+window.addEventListener(
+	'paste',
+	ifInstructionsHidden(e => {
+		const text = e.clipboardData?.getData('text/plain')?.trim();
+		if (!text) return;
+		if (text.startsWith('{')) {
+			e.preventDefault();
+			importRulesetJson(text);
+			return;
+		}
+		const result = parseRuleString(text);
+		if (result.ok) {
+			e.preventDefault();
+			importRule(result.rule);
+		}
+	}),
+);
+
 window.addEventListener('dragover', e => {
 	e.preventDefault();
 });
@@ -1135,6 +2181,8 @@ window.addEventListener('drop', e => {
 	const file = e.dataTransfer?.files?.[0];
 	if (file && file.type.startsWith('image/')) {
 		handleImageDrop(file);
+	} else if (file && (file.type === 'application/json' || file.name.endsWith('.json'))) {
+		file.text().then(importRulesetJson, () => showError());
 	}
 });
 
@@ -1142,6 +2190,10 @@ function render() {
 	if (!isPaused && updateShader) {
 		updateShader.step();
 		needsDisplayUpdate = true;
+		populationStep++;
+		if (isPopulationShown) samplePopulation();
+		stepsSinceClassifyStart++;
+		checkPendingStuckAction();
 	}
 
 	if (needsDisplayUpdate && displayShader) {
@@ -19,7 +19,7 @@
 //   id = Array.from({length: 3}, () => unambiguousChars[Math.floor(Math.random() * unambiguousChars.length)]).join('');
 // } while (id in palettes)
 
-import rawPalettes from './rawPalettes.json';
+import rawPalettes from './rawPalettes.json' with { type: 'json' };
 import { shuffleArray } from './util.js';
 
 const starterIds = [
@@ -0,0 +1,108 @@
+import { unzlibSync, zlibSync } from 'fflate';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+	let c = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+	return (c ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+	const chunk = new Uint8Array(12 + data.length);
+	const dv = new DataView(chunk.buffer);
+	dv.setUint32(0, data.length);
+	for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+	chunk.set(data, 8);
+	dv.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+	return chunk;
+}
+
+function concatBytes(parts) {
+	const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+	let off = 0;
+	for (const part of parts) {
+		out.set(part, off);
+		off += part.length;
+	}
+	return out;
+}
+
+// Encode 8-bit RGB pixels (row by row, top row first) as a PNG file.
+export function encodePng(rgb, width, height) {
+	const stride = width * 3;
+	const raw = new Uint8Array((stride + 1) * height);
+	for (let y = 0; y < height; y++) {
+		// Filter type 0 (None) for every scanline.
+		raw.set(rgb.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+	}
+	const header = new Uint8Array(13);
+	const dv = new DataView(header.buffer);
+	dv.setUint32(0, width);
+	dv.setUint32(4, height);
+	header[8] = 8; // Bit depth.
+	header[9] = 2; // Colour type: truecolour.
+	return concatBytes([
+		new Uint8Array(PNG_SIGNATURE),
+		createChunk('IHDR', header),
+		createChunk('IDAT', zlibSync(raw, { level: 9 })),
+		createChunk('IEND', new Uint8Array(0)),
+	]);
+}
+
+function readChunks(png) {
+	const chunks = [];
+	if (png.length < PNG_SIGNATURE.length || PNG_SIGNATURE.some((byte, i) => png[i] !== byte)) return chunks;
+	const dv = new DataView(png.buffer, png.byteOffset, png.byteLength);
+	let off = PNG_SIGNATURE.length;
+	while (off + 12 <= png.length) {
+		const length = dv.getUint32(off);
+		const type = String.fromCharCode(...png.subarray(off + 4, off + 8));
+		if (off + 12 + length > png.length) break;
+		chunks.push({ type, offset: off, data: png.subarray(off + 8, off + 8 + length) });
+		off += 12 + length;
+	}
+	return chunks;
+}
+
+// Return a copy of `png` with an uncompressed UTF-8 iTXt chunk inserted before IEND.
+export function addPngText(png, keyword, text) {
+	const keywordBytes = new TextEncoder().encode(keyword);
+	const textBytes = new TextEncoder().encode(text);
+	// Keyword, null, compression flag and method, empty language tag and translated keyword.
+	const data = concatBytes([keywordBytes, new Uint8Array([0, 0, 0, 0, 0]), textBytes]);
+	const iend = readChunks(png).find(chunk => chunk.type === 'IEND');
+	if (!iend) throw new Error('invalid PNG: missing IEND chunk');
+	return concatBytes([png.subarray(0, iend.offset), createChunk('iTXt', data), png.subarray(iend.offset)]);
+}
+
+// Read the text stored under `keyword` in a tEXt, zTXt or iTXt chunk, or null if there is none.
+export function readPngText(png, keyword) {
+	const utf8 = new TextDecoder();
+	const latin1 = new TextDecoder('latin1');
+	for (const { type, data } of readChunks(png)) {
+		if (type !== 'tEXt' && type !== 'zTXt' && type !== 'iTXt') continue;
+		const keywordEnd = data.indexOf(0);
+		if (keywordEnd === -1 || latin1.decode(data.subarray(0, keywordEnd)) !== keyword) continue;
+		try {
+			if (type === 'tEXt') return latin1.decode(data.subarray(keywordEnd + 1));
+			if (type === 'zTXt') return latin1.decode(unzlibSync(data.subarray(keywordEnd + 2)));
+			const isCompressed = data[keywordEnd + 1] === 1;
+			const languageEnd = data.indexOf(0, keywordEnd + 3);
+			const translatedEnd = data.indexOf(0, languageEnd + 1);
+			if (languageEnd === -1 || translatedEnd === -1) continue;
+			const textBytes = data.subarray(translatedEnd + 1);
+			return utf8.decode(isCompressed ? unzlibSync(textBytes) : textBytes);
+		} catch {
+			continue;
+		}
+	}
+	return null;
+}
@@ -0,0 +1,84 @@
+/* Population statistics: how many cells are in each state, and how many changed, frame by frame.
+
+The counting happens on the GPU (see the population shader in main.js): each column of the grid is
+reduced to one count per state, and the CPU only adds up one row of texels per state. This module keeps the resulting series, draws the overlay, and exports the series as CSV. */
+
+// Oldest samples are dropped past this, which is several minutes of frames.
+export const MAX_POPULATION_SAMPLES = 20000;
+const SPARKLINE_SAMPLES = 240;
+
+export function createPopulationSeries(nStates) {
+	return { nStates, samples: [] };
+}
+
+/** Add a sample; `changes` is null when there was no previous frame to compare with. */
+export function addPopulationSample(series, step, counts, changes) {
+	series.samples.push({ step, counts, changes });
+	if (series.samples.length > MAX_POPULATION_SAMPLES) series.samples.shift();
+}
+
+// A count packed little-endian into the RGB bytes of a texel.
+function unpackCount(pixels, i) {
+	return pixels[i * 4] | (pixels[i * 4 + 1] << 8) | (pixels[i * 4 + 2] << 16);
+}
+
+/**
+ * Sum the population shader's readback, `nStates + 1` rows of `width` RGBA8 texels: row s holds the
+ * count of state s per column, and the last row the changed cells per column.
+ */
+export function sumPopulationCounts(pixels, width, nStates) {
+	const counts = new Array(nStates).fill(0);
+	let changes = 0;
+	for (let x = 0; x < width; x++) {
+		for (let state = 0; state < nStates; state++) counts[state] += unpackCount(pixels, state * width + x);
+		changes += unpackCount(pixels, nStates * width + x);
+	}
+	return { counts, changes };
+}
+
+function rgbToCss([r, g, b]) {
+	return `rgb(${Math.round(r * 255)},${Math.round(g * 255)},${Math.round(b * 255)})`;
+}
+
+/**
+ * Draw the latest sample's population as one bar per state, colored like the states, over a sparkline of
+ * changed cells per frame. `colors` is getColorsForUniform().
+ */
+export function drawPopulationOverlay(ctx, series, colors) {
+	const { width, height } = ctx.canvas;
+	ctx.fillStyle = '#000';
+	ctx.fillRect(0, 0, width, height);
+	const latest = series.samples.at(-1);
+	if (!latest) return;
+	const barsHeight = height * 0.6;
+	const total = latest.counts.reduce((sum, count) => sum + count, 0) || 1;
+	const barWidth = width / series.nStates;
+	latest.counts.forEach((count, state) => {
+		const barHeight = Math.max(1, (count / total) * barsHeight);
+		ctx.fillStyle = rgbToCss(colors[state]);
+		ctx.fillRect(state * barWidth + 1, barsHeight - barHeight, barWidth - 2, barHeight);
+	});
+
+	const recent = series.samples.slice(-SPARKLINE_SAMPLES).filter(sample => sample.changes != null);
+	if (recent.length < 2) return;
+	const sparkTop = barsHeight + 6;
+	const sparkHeight = height - sparkTop - 2;
+	const maxChanges = Math.max(1, ...recent.map(sample => sample.changes));
+	ctx.strokeStyle = '#fff';
+	ctx.lineWidth = 1;
+	ctx.beginPath();
+	recent.forEach((sample, i) => {
+		const x = (i / (SPARKLINE_SAMPLES - 1)) * width;
+		const y = sparkTop + sparkHeight * (1 - sample.changes / maxChanges);
+		if (i === 0) ctx.moveTo(x, y);
+		else ctx.lineTo(x, y);
+	});
+	ctx.stroke();
+}
+
+/** The series as CSV: one row per frame, with the cell count of each state and the cells that changed. */
+export function populationSeriesToCsv(series) {
+	const header = ['step', ...Array.from({ length: series.nStates }, (_, i) => `state ${i + 1}`), 'changed'];
+	const rows = series.samples.map(({ step, counts, changes }) => [step, ...counts, changes ?? ''].join(','));
+	return [header.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,135 @@
+/* Life-like and Generations rule strings, e.g. `B3/S23`, `B36/S23`, `23/3` or `23/3/8`.
+
+Birth/survival notation maps onto a semitotalistic exact-sum ruleset over a range-1 kernel: dead cells
+(state 1) weigh 0 and live cells (state 2) weigh 1, so the neighbor sum is the live-neighbor count.
+Generations rules add dying states 3, 4, … which weigh 0 and always advance to the next state, the last
+one returning to dead. A trailing H selects the six-neighbor hex grid. */
+
+import { MAX_N_STATES } from './state.js';
+
+const NEIGHBORHOODS = {
+	M: { neighborhoodType: 0, maxCount: 8, suffix: '' },
+	V: { neighborhoodType: 1, maxCount: 4, suffix: 'V' },
+	H: { neighborhoodType: 0, maxCount: 6, suffix: 'H', hexGrid: true },
+};
+
+// A state count field, when present, can't be empty: `B3/S23/C` is a typo, not Life.
+const RULE_PATTERNS = [
+	{ re: /^B([^/S]*)\/?S([^/]*)(?:\/[CG]?([^/]+))?$/i, birth: 1, survival: 2, states: 3 },
+	{ re: /^S([^/B]*)\/?B([^/]*)(?:\/[CG]?([^/]+))?$/i, birth: 2, survival: 1, states: 3 },
+	{ re: /^([^/]*)\/([^/]*)(?:\/([^/]+))?$/, birth: 2, survival: 1, states: 3 },
+];
+
+function parseCounts(digits, maxCount, label) {
+	const fail = (reason, details = {}) => ({ ok: false, reason, ...details });
+	const counts = new Set();
+	for (const char of digits) {
+		if (!/\d/.test(char))
+			return fail(
+				`“${char}” in ${label}: non-totalistic conditions aren’t supported, only neighbor counts can be expressed`,
+			);
+		const count = Number(char);
+		if (count > maxCount)
+			return fail(`${label} count ${count} is impossible with ${maxCount} neighbors`, { count, maxCount });
+		counts.add(count);
+	}
+	return counts;
+}
+
+function formatCounts(counts) {
+	return [...counts].sort((a, b) => a - b).join('');
+}
+
+/**
+ * Parse B/S notation. Returns { ok: true, rule } where rule holds the birth and survival counts, the
+ * number of states and the neighborhood, or { ok: false, reason } explaining what the model can’t express.
+ */
+export function parseRuleString(text) {
+	const fail = (reason, details = {}) => ({ ok: false, reason, ...details });
+	let body = String(text).trim().replace(/\s+/g, '');
+	if (!body) return fail('empty rule');
+	if (/^R\d/i.test(body)) return fail('Larger than Life rules aren’t supported, only range-1 neighborhoods');
+
+	let neighborhood = NEIGHBORHOODS.M;
+	const suffix = body.match(/[MVH]$/i)?.[0].toUpperCase();
+	if (suffix) {
+		neighborhood = NEIGHBORHOODS[suffix];
+		body = body.slice(0, -1);
+	}
+
+	const pattern = RULE_PATTERNS.find(({ re }) => re.test(body));
+	if (!pattern) return fail('expected B/S notation like B3/S23, or S/B like 23/3');
+	const match = body.match(pattern.re);
+
+	const birth = parseCounts(match[pattern.birth], neighborhood.maxCount, 'birth');
+	if (birth.ok === false) return birth;
+	const survival = parseCounts(match[pattern.survival], neighborhood.maxCount, 'survival');
+	if (survival.ok === false) return survival;
+
+	const statesText = match[pattern.states];
+	let nStates = 2;
+	if (statesText) {
+		if (!/^\d+$/.test(statesText)) return fail(`“${statesText}” isn’t a state count`);
+		nStates = Number(statesText);
+		if (nStates < 2 || nStates > MAX_N_STATES)
+			return fail(`Generations rules need 2 to ${MAX_N_STATES} states`, { nStates });
+	}
+
+	const generations = nStates > 2 ? `/C${nStates}` : '';
+	const name = `B${formatCounts(birth)}/S${formatCounts(survival)}${generations}${neighborhood.suffix}`;
+	return {
+		ok: true,
+		rule: {
+			name,
+			birth,
+			survival,
+			nStates,
+			neighborhoodType: neighborhood.neighborhoodType,
+			hexGrid: !!neighborhood.hexGrid,
+			maxCount: neighborhood.maxCount,
+		},
+	};
+}
+
+/**
+ * Build a snapshot for encodeSnapshot() from a parsed rule. `base` supplies the settings a rule string
+ * doesn’t cover: wrap behaviour and border state, cell inertia and palette.
+ */
+export function ruleToSnapshot(rule, base) {
+	const { birth, survival, nStates, neighborhoodType, hexGrid, maxCount } = rule;
+	const ruleCount = maxCount + 1;
+	const dead = 1;
+	const alive = 2;
+	const firstDying = nStates > 2 ? 3 : dead;
+	const rulesByState = Array.from({ length: nStates }, (_, state) =>
+		Array.from({ length: ruleCount }, (_, count) => {
+			if (state === 0) return birth.has(count) ? alive : 0;
+			if (state === 1) return survival.has(count) ? 0 : firstDying;
+			return state + 1 < nStates ? state + 2 : dead;
+		}),
+	);
+	return {
+		nStates,
+		weights: Array.from({ length: nStates }, (_, state) => (state === 1 ? 1 : 0)),
+		cellInertia: base.cellInertia,
+		nextWeightsIdx: 0,
+		neighborhoodType,
+		neighborRange: 1,
+		nRings: 1,
+		euclideanRings: false,
+		customRingRadii: false,
+		hexGrid,
+		customKernel: [],
+		ringWeights: [1],
+		ringWeightPresetIdx: 0,
+		wrapBehaviour: base.wrapBehaviour,
+		borderState: base.borderState < nStates ? base.borderState : 0,
+		transitionType: 0,
+		isSemitotalistic: true,
+		minNeighborWeight: 0,
+		ruleCount,
+		rulesByState,
+		currentPaletteId: base.currentPaletteId,
+		paletteOffset: base.paletteOffset,
+	};
+}
@@ -0,0 +1,288 @@
+/* Human-readable ruleset format.
+
+A ruleset file is a JSON object holding everything the URL hash holds, so the two convert back and forth
+without loss. Names are used instead of indices wherever the app has them:
+
+{
+	"format": "ca-finder-ruleset",
+	"version": 1,
+	"nStates": 3,                      // 2–32.
+	"weights": [0, 1, 0.5],            // One weight per state.
+	"cellInertia": 0.8,                // Used when generating new rulesets.
+	"weightDistribution": 0,           // Index of the W-key weight distribution, 0–3.
+	"hexGrid": false,                  // Hexagonal cells; kernel offsets are then axial [q, r].
+	"neighborhood": "Moore",           // One of NEIGHBORHOOD_TYPES.
+	"neighborRange": 4,                // 1–12.
+	"euclideanRings": false,           // Measure ring boundaries with Euclidean distance.
+	"customRingRadii": false,          // If true, ring radii are read from "rings".
+	"rings": [                         // 1–8 rings, innermost first.
+		{ "innerRadius": 1, "outerRadius": 2, "weight": 1 },
+		{ "innerRadius": 3, "outerRadius": 4, "weight": 0.5 }
+	],
+	"customKernel": [                  // [dx, dy, weight] per painted offset; used by "Custom" only.
+		[0, 1, 1],                       // dy points up the screen.
+		[-1, -1, 0.5]
+	],
+	"ringWeightPreset": "Halving",     // One of RING_WEIGHT_PRESETS.
+	"wrap": "Wrap",                    // One of WRAP_BEHAVIOURS.
+	"borderState": 0,                  // State read past a "Fixed" edge, 0-based.
+	"transition": "Exact sum",         // One of TRANSITION_TYPES.
+	"aliveStates": 1,                  // Generations only: states after the first that are alive, not decaying.
+	"sumOrderTopK": 3,                 // Sum order only: how many top states are ranked, 1–4.
+	"triggerStates": [1, 1, 1],        // State count only: the state each state counts, 0-based.
+	"transitionProbabilities": [1, 0.4, 1], // Chance from 0 to 1 that a rule into each state fires; all 1 if absent.
+	"gridSeed": 2654435769,            // Seed of the random starting grid, a 32-bit unsigned integer.
+	"semitotalistic": false,           // If true, "rules" holds one table per state.
+	"minNeighborWeight": 0,            // Sum for the first entry of each exact-sum table.
+	"rules": [[0, 2, 1, 0, 3]],        // 0 = no change, n = become state n (wrapping past nStates).
+	"palette": { "id": "266", "offset": 0, "order": [0, 1, 2], "colors": ["#000000", "#51007c", "#5073d3"] }
+}
+
+Unless "customRingRadii" is set, ring radii are derived from the neighbor range and ring count. Palette
+colors are derived from the palette ID, offset and "order", the palette color each state takes (in order
+if absent). Derived values are written for reference and ignored on
+import. Weights, ring weights and radii are single-precision floats, as in the URL hash. */
+
+import {
+	MAX_NEIGHBOR_RANGE,
+	MAX_N_RINGS,
+	MAX_N_RULES,
+	MAX_N_STATES,
+	MAX_SUM_ORDER_TOP_K,
+	MIN_N_STATES,
+	NEIGHBORHOOD_TYPES,
+	RING_WEIGHT_PRESETS,
+	TRANSITION_TYPES,
+	WRAP_BEHAVIOURS,
+	CUSTOM_NEIGHBORHOOD_TYPE,
+	GENERATIONS_TRANSITION_TYPE,
+	isValidCustomKernelOffset,
+	isAllowedRule,
+	isValidRingRadius,
+	quantizeProbability,
+} from './state.js';
+
+const FORMAT_NAME = 'ca-finder-ruleset';
+const FORMAT_VERSION = 1;
+
+function toHex(rgb) {
+	return '#' + rgb.map(x => Math.round((x ?? 0) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+export function snapshotToRulesetJson(snapshot) {
+	const rings = Array.from({ length: snapshot.nRings }, (_, i) => ({
+		innerRadius: snapshot.ringInnerRadii[i],
+		outerRadius: snapshot.ringOuterRadii[i],
+		weight: snapshot.ringWeights[i],
+	}));
+	const data = {
+		format: FORMAT_NAME,
+		version: FORMAT_VERSION,
+		nStates: snapshot.nStates,
+		weights: Array.from(snapshot.weights),
+		cellInertia: snapshot.cellInertia,
+		weightDistribution: snapshot.nextWeightsIdx,
+		hexGrid: snapshot.hexGrid,
+		neighborhood: NEIGHBORHOOD_TYPES[snapshot.neighborhoodType],
+		neighborRange: snapshot.neighborRange,
+		euclideanRings: snapshot.euclideanRings,
+		customRingRadii: snapshot.customRingRadii,
+		rings,
+		customKernel: snapshot.customKernel.map(({ dx, dy, weight }) => [dx, dy, weight]),
+		ringWeightPreset: RING_WEIGHT_PRESETS[snapshot.ringWeightPresetIdx]?.label,
+		wrap: WRAP_BEHAVIOURS[snapshot.wrapBehaviour],
+		borderState: snapshot.borderState,
+		transition: TRANSITION_TYPES[snapshot.transitionType],
+		aliveStates: snapshot.aliveStateCount,
+		sumOrderTopK: snapshot.sumOrderTopK,
+		triggerStates: snapshot.triggerStates,
+		transitionProbabilities: snapshot.transitionProbabilities,
+		gridSeed: snapshot.gridSeed,
+		semitotalistic: snapshot.isSemitotalistic,
+		minNeighborWeight: snapshot.minNeighborWeight,
+		rules: snapshot.rulesByState.map(row => Array.from(row)),
+		palette: {
+			id: snapshot.currentPaletteId,
+			offset: snapshot.paletteOffset,
+			order: snapshot.colorOrder,
+			colors: snapshot.colors.map(toHex),
+		},
+	};
+	// Put flat arrays and objects on one line so rule tables stay readable and diff cleanly.
+	return JSON.stringify(data, null, '\t').replace(/[[{][^[\]{}]*[\]}]/g, match =>
+		match.replace(/\n\s*/g, ' ').replace(/\[ /g, '[').replace(/ \]/g, ']'),
+	);
+}
+
+function isInteger(value, min, max) {
+	return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isNumberArray(value, length) {
+	return Array.isArray(value) && value.length === length && value.every(x => Number.isFinite(x));
+}
+
+/**
+ * Parse ruleset JSON text into a snapshot for encodeSnapshot(). Returns { ok: true, snapshot } or
+ * { ok: false, reason } like the binary state decoder.
+ */
+export function rulesetJsonToSnapshot(text) {
+	const fail = (reason, details = {}) => ({ ok: false, reason, ...details });
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (err) {
+		return fail('invalid JSON', { message: err.message });
+	}
+	if (!data || typeof data !== 'object' || data.format !== FORMAT_NAME)
+		return fail(`not a ruleset file (expected "format": "${FORMAT_NAME}")`);
+	if (data.version !== FORMAT_VERSION)
+		return fail('unsupported ruleset file version', { version: data.version, supported: FORMAT_VERSION });
+
+	const { nStates, neighborRange, rings } = data;
+	if (!isInteger(nStates, MIN_N_STATES, MAX_N_STATES))
+		return fail(`nStates must be an integer from ${MIN_N_STATES} to ${MAX_N_STATES}`, { nStates });
+	if (!isNumberArray(data.weights, nStates)) return fail('weights must list one number per state');
+	if (!Number.isFinite(data.cellInertia) || data.cellInertia < 0 || data.cellInertia > 1)
+		return fail('cellInertia must be a number from 0 to 1', { cellInertia: data.cellInertia });
+	if (!isInteger(data.weightDistribution ?? 0, 0, 3)) return fail('weightDistribution must be 0–3');
+	if (!isInteger(neighborRange, 1, MAX_NEIGHBOR_RANGE))
+		return fail(`neighborRange must be an integer from 1 to ${MAX_NEIGHBOR_RANGE}`, { neighborRange });
+	if (!Array.isArray(rings) || rings.length < 1 || rings.length > MAX_N_RINGS)
+		return fail(`rings must list 1 to ${MAX_N_RINGS} rings`);
+	if (!rings.every(ring => Number.isFinite(ring?.weight))) return fail('every ring needs a numeric weight');
+	const customRingRadii = !!data.customRingRadii;
+	if (customRingRadii) {
+		const badRing = rings.findIndex(
+			ring => !isValidRingRadius(ring.innerRadius, ring.outerRadius) || ring.outerRadius > neighborRange,
+		);
+		if (badRing !== -1)
+			return fail(
+				`with customRingRadii, every ring needs 1 ≤ innerRadius ≤ outerRadius ≤ neighborRange (${neighborRange})`,
+				{ ring: badRing },
+			);
+	}
+
+	const neighborhoodType = NEIGHBORHOOD_TYPES.indexOf(data.neighborhood);
+	if (neighborhoodType === -1) return fail(`neighborhood must be one of: ${NEIGHBORHOOD_TYPES.join(', ')}`);
+	let customKernel = [];
+	if (neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE) {
+		if (!Array.isArray(data.customKernel)) return fail('a Custom neighborhood needs a customKernel list');
+		const offsets = new Set();
+		for (const entry of data.customKernel) {
+			const [dx, dy, weight] = Array.isArray(entry) ? entry : [];
+			const key = `${dx},${dy}`;
+			if (
+				!isValidCustomKernelOffset(dx, dy) ||
+				Math.max(Math.abs(dx), Math.abs(dy)) > neighborRange ||
+				!Number.isFinite(weight) ||
+				offsets.has(key)
+			)
+				return fail(
+					`customKernel entries must be unique [dx, dy, weight] offsets within neighborRange (${neighborRange}), excluding [0, 0]`,
+					{ entry },
+				);
+			offsets.add(key);
+			if (weight !== 0) customKernel.push({ dx, dy, weight });
+		}
+		if (new Set(customKernel.map(({ weight }) => Math.fround(weight))).size > 255)
+			return fail('customKernel can use at most 255 distinct weights');
+	}
+	const wrapBehaviour = WRAP_BEHAVIOURS.indexOf(data.wrap);
+	if (wrapBehaviour === -1) return fail(`wrap must be one of: ${WRAP_BEHAVIOURS.join(', ')}`);
+	const borderState = data.borderState ?? 0;
+	if (!isInteger(borderState, 0, nStates - 1))
+		return fail(`borderState must be an integer from 0 to ${nStates - 1}`, { borderState });
+	const transitionType = TRANSITION_TYPES.indexOf(data.transition);
+	if (transitionType === -1) return fail(`transition must be one of: ${TRANSITION_TYPES.join(', ')}`);
+	const sumOrderTopK = data.sumOrderTopK ?? 3;
+	if (!isInteger(sumOrderTopK, 1, MAX_SUM_ORDER_TOP_K))
+		return fail(`sumOrderTopK must be an integer from 1 to ${MAX_SUM_ORDER_TOP_K}`, { sumOrderTopK });
+	const triggerStates = data.triggerStates ?? new Array(nStates).fill(1 % nStates);
+	if (
+		!Array.isArray(triggerStates) ||
+		triggerStates.length !== nStates ||
+		!triggerStates.every(state => isInteger(state, 0, nStates - 1))
+	)
+		return fail(`triggerStates must hold ${nStates} integers from 0 to ${nStates - 1}`);
+	const transitionProbabilities = data.transitionProbabilities ?? new Array(nStates).fill(1);
+	if (!isNumberArray(transitionProbabilities, nStates) || !transitionProbabilities.every(p => p >= 0 && p <= 1))
+		return fail(`transitionProbabilities must hold ${nStates} numbers from 0 to 1`);
+	if (data.gridSeed !== undefined && !isInteger(data.gridSeed, 0, 0xffffffff))
+		return fail('gridSeed must be an integer from 0 to 4294967295', { gridSeed: data.gridSeed });
+	const aliveStateCount = data.aliveStates ?? 1;
+	if (transitionType === GENERATIONS_TRANSITION_TYPE && !isInteger(aliveStateCount, 1, nStates - 1))
+		return fail(`aliveStates must be an integer from 1 to ${nStates - 1}`, { aliveStates: data.aliveStates });
+	const presetLabels = RING_WEIGHT_PRESETS.map(preset => preset.label);
+	const ringWeightPresetIdx = presetLabels.indexOf(data.ringWeightPreset ?? presetLabels[0]);
+	if (ringWeightPresetIdx === -1) return fail(`ringWeightPreset must be one of: ${presetLabels.join(', ')}`);
+
+	const isSemitotalistic = !!data.semitotalistic;
+	if (transitionType === GENERATIONS_TRANSITION_TYPE && !isSemitotalistic)
+		return fail('Generations needs "semitotalistic": true, with one table per state');
+	const storedRulesetCount = isSemitotalistic ? nStates : 1;
+	const { rules } = data;
+	if (!Array.isArray(rules) || rules.length !== storedRulesetCount)
+		return fail(`rules must hold ${storedRulesetCount} table${storedRulesetCount === 1 ? '' : 's'}`, {
+			semitotalistic: isSemitotalistic,
+		});
+	const ruleCount = rules[0]?.length;
+	if (!rules.every(row => Array.isArray(row) && row.length === ruleCount && ruleCount > 0))
+		return fail('every rule table must have the same, non-zero length');
+	if (ruleCount > MAX_N_RULES)
+		return fail(`rule tables can hold at most ${MAX_N_RULES} entries`, { ruleCount });
+	if (!rules.every(row => row.every(rule => isInteger(rule, 0, 255))))
+		return fail('rules must be integers from 0 (no change) to 255');
+	const ruleParams = { nStates, aliveStateCount, transitionType };
+	const badState = rules.findIndex(
+		(row, stateIndex) => !row.every(rule => isAllowedRule(stateIndex, rule, ruleParams)),
+	);
+	if (badState !== -1)
+		return fail(`rules for state ${badState} hold a target its Generations role doesn't allow`, { state: badState });
+	if (!Number.isInteger(data.minNeighborWeight)) return fail('minNeighborWeight must be an integer');
+
+	const palette = data.palette ?? {};
+	const colorOrder = palette.order ?? Array.from({ length: nStates }, (_, i) => i);
+	if (
+		!Array.isArray(colorOrder) ||
+		colorOrder.length !== nStates ||
+		!colorOrder.every(color => isInteger(color, 0, MAX_N_STATES - 1)) ||
+		new Set(colorOrder).size !== nStates
+	)
+		return fail(`palette.order must hold ${nStates} distinct integers from 0 to ${MAX_N_STATES - 1}`);
+	return {
+		ok: true,
+		snapshot: {
+			nStates,
+			weights: data.weights,
+			cellInertia: data.cellInertia,
+			nextWeightsIdx: data.weightDistribution ?? 0,
+			hexGrid: !!data.hexGrid,
+			neighborhoodType,
+			neighborRange,
+			nRings: rings.length,
+			euclideanRings: !!data.euclideanRings,
+			customRingRadii,
+			ringInnerRadii: rings.map(ring => ring.innerRadius),
+			ringOuterRadii: rings.map(ring => ring.outerRadius),
+			ringWeights: rings.map(ring => ring.weight),
+			customKernel,
+			ringWeightPresetIdx,
+			wrapBehaviour,
+			borderState,
+			transitionType,
+			aliveStateCount: transitionType === GENERATIONS_TRANSITION_TYPE ? aliveStateCount : 1,
+			sumOrderTopK,
+			triggerStates,
+			transitionProbabilities: transitionProbabilities.map(quantizeProbability),
+			gridSeed: data.gridSeed,
+			isSemitotalistic,
+			minNeighborWeight: data.minNeighborWeight,
+			ruleCount,
+			rulesByState: rules,
+			currentPaletteId: typeof palette.id === 'string' ? palette.id : '',
+			paletteOffset: Number.isInteger(palette.offset) ? palette.offset : 0,
+			colorOrder,
+		},
+	};
+}
@@ -0,0 +1,8 @@
+/* Scores auto-search candidates off the main thread, so the simulation keeps running smoothly. */
+
+import { measureInterestingness } from './search.js';
+
+self.addEventListener('message', ({ data }) => {
+	const { snapshot, seed } = data;
+	self.postMessage({ metrics: measureInterestingness(snapshot, { seed }) });
+});
@@ -0,0 +1,123 @@
+/* Scoring rulesets by how interesting they look, for the auto-search.
+
+A candidate runs on the CPU stepper from a seeded random grid, and is measured over its last steps:
+
+- entropy: how evenly the states are used, from 0 (one state everywhere) to 1 (all equally common);
+- activity: the fraction of cells that change per step, 0 when frozen and high for boiling noise;
+- autocorrelation: how much more often neighboring cells match than they would by chance, near 0 for
+  noise and approaching 1 for large uniform regions.
+
+A ruleset that freezes into one state fails on entropy and activity, and one that dissolves into static
+fails on autocorrelation, so the thresholds keep rules with structure that keeps moving. */
+
+import { createStepper, getRandomGridData } from './simulate.js';
+import { buildNeighborKernel } from './state.js';
+import { createRandom } from './util.js';
+
+export const SEARCH_GRID_SIZE = 64;
+export const SEARCH_STEPS = 200;
+const MIN_SEARCH_GRID_SIZE = 32;
+const MIN_SEARCH_STEPS = 80;
+// Kernels up to a range-2 Moore neighborhood run at full size; bigger ones shrink the grid and the run so a
+// candidate costs roughly the same.
+const FULL_SCALE_NEIGHBOR_COUNT = 24;
+// Activity is averaged over this many final steps.
+const MEASURED_STEPS = 20;
+
+export const DEFAULT_SEARCH_THRESHOLDS = {
+	minEntropy: 0.2,
+	minActivity: 0.002,
+	maxActivity: 0.3,
+	minAutocorrelation: 0.15,
+};
+
+function getEntropy(grid, nStates) {
+	const counts = new Uint32Array(nStates);
+	for (const state of grid) counts[state]++;
+	let entropy = 0;
+	for (const count of counts) {
+		if (count === 0) continue;
+		const p = count / grid.length;
+		entropy -= p * Math.log2(p);
+	}
+	return nStates > 1 ? entropy / Math.log2(nStates) : 0;
+}
+
+// Matching right and up neighbors (wrapping), relative to the matches expected from state frequencies alone.
+function getAutocorrelation(grid, width, height, nStates) {
+	const counts = new Uint32Array(nStates);
+	let matches = 0;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const state = grid[y * width + x];
+			counts[state]++;
+			if (grid[y * width + ((x + 1) % width)] === state) matches++;
+			if (grid[((y + 1) % height) * width + x] === state) matches++;
+		}
+	}
+	const matchRate = matches / (2 * grid.length);
+	const expected = counts.reduce((sum, count) => sum + (count / grid.length) ** 2, 0);
+	return expected < 1 ? (matchRate - expected) / (1 - expected) : 0;
+}
+
+/** The { size, steps } to score `snapshot` at: the work per step grows with the kernel, so both shrink. */
+export function getSearchScale(snapshot) {
+	const { count } = buildNeighborKernel(snapshot);
+	const factor = Math.min(1, FULL_SCALE_NEIGHBOR_COUNT / Math.max(1, count));
+	// Steps take half the reduction and the grid's area the other half.
+	return {
+		size: Math.max(MIN_SEARCH_GRID_SIZE, Math.round(SEARCH_GRID_SIZE * factor ** 0.25)),
+		steps: Math.max(MIN_SEARCH_STEPS, Math.round(SEARCH_STEPS * factor ** 0.5)),
+	};
+}
+
+/**
+ * Run a getStateSnapshot()-style object and return { entropy, activity, autocorrelation }. `size` and
+ * `steps` default to getSearchScale().
+ */
+export function measureInterestingness(snapshot, { seed = 1, ...scale } = {}) {
+	const { size, steps } = { ...getSearchScale(snapshot), ...scale };
+	const step = createStepper(snapshot, size, size);
+	let grid = getRandomGridData(size, size, snapshot.nStates, createRandom(seed));
+	let next = new Uint8Array(grid.length);
+	let changed = 0;
+	for (let i = 0; i < steps; i++) {
+		step(grid, next);
+		if (i >= steps - MEASURED_STEPS) {
+			for (let j = 0; j < grid.length; j++) if (grid[j] !== next[j]) changed++;
+		}
+		[grid, next] = [next, grid];
+	}
+	return {
+		entropy: getEntropy(grid, snapshot.nStates),
+		activity: changed / (Math.min(steps, MEASURED_STEPS) * grid.length),
+		autocorrelation: getAutocorrelation(grid, size, size, snapshot.nStates),
+	};
+}
+
+export function passesThresholds(metrics, thresholds = DEFAULT_SEARCH_THRESHOLDS) {
+	return (
+		metrics.entropy >= thresholds.minEntropy &&
+		metrics.activity >= thresholds.minActivity &&
+		metrics.activity <= thresholds.maxActivity &&
+		metrics.autocorrelation >= thresholds.minAutocorrelation
+	);
+}
+
+/** Thresholds as text for editing, e.g. `0.2 0.002-0.3 0.15`: entropy, activity range, autocorrelation. */
+export function formatThresholds(thresholds) {
+	const { minEntropy, minActivity, maxActivity, minAutocorrelation } = thresholds;
+	return `${minEntropy} ${minActivity}-${maxActivity} ${minAutocorrelation}`;
+}
+
+/** Parse formatThresholds() text. Returns { ok: true, thresholds } or { ok: false, reason }. */
+export function parseThresholds(text) {
+	const match = text.trim().match(/^([\d.]+)\s+([\d.]+)\s*-\s*([\d.]+)\s+(-?[\d.]+)$/);
+	if (!match)
+		return { ok: false, reason: 'expected entropy, activity range and autocorrelation, e.g. 0.2 0.002-0.3 0.15' };
+	const [minEntropy, minActivity, maxActivity, minAutocorrelation] = match.slice(1).map(Number);
+	if ([minEntropy, minActivity, maxActivity, minAutocorrelation].some(x => !Number.isFinite(x)))
+		return { ok: false, reason: 'thresholds must be numbers' };
+	if (minActivity > maxActivity) return { ok: false, reason: 'the activity range is empty' };
+	return { ok: true, thresholds: { minEntropy, minActivity, maxActivity, minAutocorrelation } };
+}
@@ -0,0 +1,160 @@
+/**
+ * CPU reference simulator: steps a Uint8Array grid exactly like the update shader in main.js.
+ * Takes a getStateSnapshot()-style object, so rulesets can be run without WebGL2 (headless tools, tests).
+ */
+
+import {
+	FIXED_WRAP_BEHAVIOUR,
+	STATE_COUNT_TRANSITION_TYPE,
+	buildNeighborKernel,
+	getNeighborSumWeights,
+	getSumOrderRuleIndex,
+	isDecayState,
+	getSumOrderTopStateCount,
+} from './state.js';
+import { getHexNeighbor, mapHexCell } from './hex.js';
+import { cellRandom, random } from './util.js';
+
+function fract(x) {
+	return x - Math.floor(x);
+}
+
+// GLSL mod(): the result takes the sign of the divisor.
+function mod(x, y) {
+	return x - y * Math.floor(x / y);
+}
+
+function reflect1(x) {
+	const t = mod(x, 2);
+	return t <= 1 ? t : 2 - t;
+}
+
+/** Mirrors mapCoord() in the update shader. Coordinates are normalized to [0, 1]. */
+export function mapCoord(x, y, wrapBehaviour) {
+	switch (wrapBehaviour) {
+		case 0:
+			return [fract(x), fract(y)];
+		case 1:
+			return [reflect1(x), reflect1(y)];
+		case 3:
+			return [fract(x + Math.floor(y) * 0.5), fract(y)];
+		case 4:
+			return [fract(x), fract(y + Math.floor(x) * 0.5)];
+		case 5:
+		case 6: {
+			const flipX = mod(Math.floor(y), 2) === 1;
+			const flipY = wrapBehaviour === 6 && mod(Math.floor(x), 2) === 1;
+			return [flipX ? 1 - fract(x) : fract(x), flipY ? 1 - fract(y) : fract(y)];
+		}
+		default:
+			return [Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y))];
+	}
+}
+
+/** Same distribution as the shader seed texture: one uniformly random state per cell. */
+export function getRandomGridData(width, height, nStates, rng = random) {
+	const size = width * height;
+	const data = new Uint8Array(size);
+	for (let i = 0; i < size; ++i) {
+		data[i] = Math.floor(rng() * nStates);
+	}
+	return data;
+}
+
+/**
+ * Returns step(src, dst?) which writes the next generation of `src` into `dst` and returns it.
+ * Cells are stored row by row, matching the layout of the shader's state texture. For a hex-grid
+ * snapshot, `width` × `height` is the grid of hex cells (see getHexGridSize()). Stochastic rules draw on
+ * the frame number, which counts steps from 0 like the shader's u_frame does after a scramble.
+ */
+export function createStepper(snapshot, width, height) {
+	const { nStates, wrapBehaviour, transitionType, minNeighborWeight, ruleCount, hexGrid } = snapshot;
+	const isFixedWrap = wrapBehaviour === FIXED_WRAP_BEHAVIOUR;
+	const borderState = (snapshot.borderState ?? 0) % nStates;
+	const { data: kernelData, count: neighborCount } = buildNeighborKernel(snapshot);
+	const kernelDx = new Int32Array(neighborCount);
+	const kernelDy = new Int32Array(neighborCount);
+	const kernelWeights = new Float32Array(neighborCount);
+	for (let i = 0; i < neighborCount; i++) {
+		kernelDx[i] = kernelData[i * 4];
+		kernelDy[i] = kernelData[i * 4 + 1];
+		kernelWeights[i] = kernelData[i * 4 + 2];
+	}
+	const stateWeights = Float32Array.from(getNeighborSumWeights(snapshot));
+	const triggerStates = Uint8Array.from({ length: nStates }, (_, s) => snapshot.triggerStates?.[s] ?? 1);
+	const transitionProbabilities = Float32Array.from(
+		{ length: nStates },
+		(_, s) => snapshot.transitionProbabilities?.[s] ?? 1,
+	);
+	let frame = 0;
+	const rulesets = Array.from({ length: nStates }, (_, s) =>
+		Uint8Array.from(snapshot.rulesByState[snapshot.isSemitotalistic ? s : 0]),
+	);
+	const sumOrderTopK = snapshot.sumOrderTopK ?? 3;
+	const topStateCount = getSumOrderTopStateCount(nStates, sumOrderTopK);
+	const stateSums = new Float32Array(nStates);
+	const sortedStates = Array.from({ length: nStates }, (_, i) => i);
+	const bySumDescending = (a, b) => stateSums[b] - stateSums[a] || a - b;
+
+	function sample(src, x, y, dx, dy) {
+		if (hexGrid) {
+			const [col, row] = getHexNeighbor(x, y, dx, dy);
+			if (isFixedWrap && (col < 0 || col >= width || row < 0 || row >= height)) return borderState;
+			const [tx, ty] = mapHexCell(col, row, width, height, wrapBehaviour);
+			return src[ty * width + tx] % nStates;
+		}
+		if (isFixedWrap && (x + dx < 0 || x + dx >= width || y + dy < 0 || y + dy >= height)) return borderState;
+		const [u, v] = mapCoord((x + dx + 0.5) / width, (y + dy + 0.5) / height, wrapBehaviour);
+		const tx = Math.min(width - 1, Math.max(0, Math.floor(u * width)));
+		const ty = Math.min(height - 1, Math.max(0, Math.floor(v * height)));
+		return src[ty * width + tx] % nStates;
+	}
+
+	return function step(src, dst = new Uint8Array(width * height)) {
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const state = src[y * width + x] % nStates;
+				if (isDecayState(state, snapshot)) {
+					dst[y * width + x] = state + 1 < nStates ? state + 1 : 0;
+					continue;
+				}
+				let ruleIndex;
+				if (transitionType === 1) {
+					stateSums.fill(0);
+					for (let i = 0; i < neighborCount; i++) {
+						const nState = sample(src, x, y, kernelDx[i], kernelDy[i]);
+						stateSums[nState] = Math.fround(stateSums[nState] + kernelWeights[i]);
+					}
+					sortedStates.sort(bySumDescending);
+					ruleIndex = getSumOrderRuleIndex(sortedStates.slice(0, topStateCount), nStates, sumOrderTopK);
+				} else if (transitionType === STATE_COUNT_TRANSITION_TYPE) {
+					let count = 0;
+					for (let i = 0; i < neighborCount; i++) {
+						if (sample(src, x, y, kernelDx[i], kernelDy[i]) === triggerStates[state])
+							count = Math.fround(count + kernelWeights[i]);
+					}
+					ruleIndex = Math.floor(count) - minNeighborWeight;
+				} else {
+					let totalSum = 0;
+					for (let i = 0; i < neighborCount; i++) {
+						const nState = sample(src, x, y, kernelDx[i], kernelDy[i]);
+						totalSum = Math.fround(totalSum + Math.fround(kernelWeights[i] * stateWeights[nState]));
+					}
+					ruleIndex = Math.floor(totalSum) - minNeighborWeight;
+				}
+				if (ruleIndex < 0) ruleIndex = 0;
+				if (ruleIndex >= ruleCount) ruleIndex = ruleCount - 1;
+				const newState = rulesets[state][ruleIndex];
+				if (newState === 0) {
+					dst[y * width + x] = state;
+					continue;
+				}
+				const targetState = (newState - 1) % nStates;
+				const fires = cellRandom(x, y, frame) < transitionProbabilities[targetState];
+				dst[y * width + x] = fires ? targetState : state;
+			}
+		}
+		frame++;
+		return dst;
+	};
+}
@@ -4,11 +4,15 @@
  */
 
 import rawPalettes, { paletteIds } from './palettes.js';
+import { hexDistance, hexEuclideanDistance } from './hex.js';
 import {
 	compressToUrl,
 	decompressFromUrl,
 	generateFurthestSubsequentDistanceArray,
+	createRandom,
 	hexToNormalizedRGB,
+	random,
+	randomSeed,
 	shuffleArray,
 } from './util.js';
 
@@ -21,18 +25,25 @@ export const MAX_N_RINGS = 8;
 
 // Derived.
 const LEGACY_MAX_WEIGHT = 1.5;
-const MAX_CELLS_PER_RING = Math.pow(MAX_NEIGHBOR_RANGE * 2 + 1, 2);
+const KERNEL_SIDE = MAX_NEIGHBOR_RANGE * 2 + 1;
+const MAX_CELLS_PER_RING = KERNEL_SIDE * KERNEL_SIDE;
 export const MAX_NEIGHBOR_CELLS = MAX_CELLS_PER_RING - 1;
 export const MAX_N_RULES = Math.floor(LEGACY_MAX_WEIGHT * MAX_CELLS_PER_RING * MAX_N_RINGS + 1);
 export const MAX_ENCODED_STATE_LENGTH = 240;
+// Keyword of the PNG text chunk that carries the encoded state in exported images.
+export const PNG_STATE_KEYWORD = 'ca-finder-state';
 
-export const WRAP_BEHAVIOURS = ['Wrap', 'Reflect', 'Clamp', 'Brick', 'Stair'];
+export const WRAP_BEHAVIOURS = ['Wrap', 'Reflect', 'Clamp', 'Brick', 'Stair', 'Klein bottle', 'Projective plane', 'Fixed'];
 export const N_WRAP_BEHAVIOURS = WRAP_BEHAVIOURS.length;
-export const NEIGHBORHOOD_TYPES = ['Moore', 'Von Neumann', 'Cross', 'Star', 'Checkerboard', 'Euclid'];
+// Out-of-frame neighbors of a Fixed edge read the constant border state.
+export const FIXED_WRAP_BEHAVIOUR = 7;
+export const NEIGHBORHOOD_TYPES = ['Moore', 'Von Neumann', 'Cross', 'Star', 'Checkerboard', 'Euclid', 'Custom'];
 export const N_NEIGHBORHOOD_TYPES = NEIGHBORHOOD_TYPES.length;
+// Custom neighborhoods ignore rings and use a weight painted onto each offset.
+export const CUSTOM_NEIGHBORHOOD_TYPE = 6;
 
-const STATE_VERSION = 8;
-const SUPPORTED_STATE_VERSIONS = [1, 2, 3, 4, 5, 6, 7, 8];
+const STATE_VERSION = 19;
+const SUPPORTED_STATE_VERSIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19];
 const WEIGHT_SCALE = 255 / LEGACY_MAX_WEIGHT;
 const V7_WEIGHT_SCALE = 255;
 
@@ -41,28 +52,61 @@ let nStates = 8;
 let cellInertia = 0.8;
 let isSemitotalistic = false;
 let wrapBehaviour = 0;
+let borderState = 0;
 let neighborhoodType = 0;
 let neighborRange;
 let minNeighborWeight = 0;
 let nRings = 2;
 const weights = new Float32Array(MAX_N_STATES);
 const rulesByState = new Uint8Array(MAX_N_STATES * MAX_N_RULES);
-const inactiveRulesByState = new Uint8Array(MAX_N_STATES * MAX_N_RULES);
-let inactiveMinNeighborWeight = 0;
 let ruleCountOverride = null;
-let inactiveRuleCountOverride = null;
-let inactiveRulesPopulated = false;
+// Rules set aside by swapTransitionType(), one entry (or null) per transition type.
+const inactiveRulesets = [];
 let colors = new Float32Array(MAX_N_STATES * 3);
 let currentPaletteId = paletteIds[0];
 let paletteOrderIdx = 0;
 let nextWeightsIdx = 0;
 let paletteOffset = 0;
+// The palette color each state takes, before the palette offset: a permutation, so relabeled states keep
+// their colors.
+const colorOrder = Uint8Array.from({ length: MAX_N_STATES }, (_, i) => i);
 const ringInnerRadii = new Float32Array(MAX_N_RINGS);
 const ringOuterRadii = new Float32Array(MAX_N_RINGS);
 const ringWeights = new Float32Array(MAX_N_RINGS);
 let euclideanRings = false;
+// Hex grids store cells in odd-r offset coordinates and measure kernels in axial offsets; see hex.js.
+let hexGrid = false;
+// When set, ring radii were edited by hand and generateRingRadii() leaves them alone.
+let customRingRadii = false;
+// Painted weights for the Custom neighborhood, one per offset in a KERNEL_SIDE × KERNEL_SIDE square.
+const customKernelWeights = new Float32Array(KERNEL_SIDE * KERNEL_SIDE);
+const MAX_CUSTOM_KERNEL_WEIGHTS = 255;
 let transitionType = 0;
-export const TRANSITION_TYPES = ['Exact sum', 'Sum order'];
+export const TRANSITION_TYPES = ['Exact sum', 'Sum order', 'Generations', 'State count'];
+/*
+ * Generations: state 1 is dead, the next aliveStateCount states are alive and the rest are decay states.
+ * Only alive neighbors add their weights to the sum, which dead and alive cells look up like Exact sum.
+ * Decay cells ignore their neighbors and step to the next state, the last one returning to dead.
+ */
+export const GENERATIONS_TRANSITION_TYPE = 2;
+let aliveStateCount = 1;
+// Sum order ranks this many of the states with the highest neighbor sums (fewer if there are fewer states).
+export const MAX_SUM_ORDER_TOP_K = 4;
+const DEFAULT_SUM_ORDER_TOP_K = 3;
+let sumOrderTopK = DEFAULT_SUM_ORDER_TOP_K;
+/*
+ * State count: each state has a trigger state, and a cell looks its rules up by the kernel-weighted count
+ * of neighbors in its own state's trigger state, ignoring state weights. Wireworld is the classic example.
+ */
+export const STATE_COUNT_TRANSITION_TYPE = 3;
+const triggerStates = new Uint8Array(MAX_N_STATES).fill(1);
+// Stochastic rules: a rule into state t only fires with probability transitionProbabilities[t], a multiple
+// of 1/255. All 1 means the rules are deterministic.
+const PROBABILITY_SCALE = 255;
+const transitionProbabilities = new Float32Array(MAX_N_STATES).fill(1);
+// The seed of the random grid a run starts from (see getRandomGridData()). It is kept in the URL hash, so a
+// link replays the same animation.
+let gridSeed = randomSeed();
 export const RING_WEIGHT_PRESETS = [
 	{ label: 'Halving', fn: (i) => 1 / Math.pow(2, i) },
 	{ label: 'Equal', fn: () => 1 },
@@ -78,6 +122,114 @@ export function getEuclideanRings() {
 export function setEuclideanRings(v) {
 	euclideanRings = !!v;
 }
+export function getHexGrid() {
+	return hexGrid;
+}
+export function setHexGrid(v) {
+	hexGrid = !!v;
+}
+export function getCustomRingRadii() {
+	return customRingRadii;
+}
+export function clearCustomRingRadii() {
+	customRingRadii = false;
+}
+export function isValidRingRadius(innerRadius, outerRadius) {
+	return (
+		Number.isFinite(innerRadius) &&
+		Number.isFinite(outerRadius) &&
+		innerRadius >= 1 &&
+		innerRadius <= outerRadius &&
+		outerRadius <= MAX_NEIGHBOR_RANGE
+	);
+}
+/** Set one ring's radii by hand. The neighbor range grows or shrinks to just cover the outermost ring. */
+export function setRingRadius(ring, innerRadius, outerRadius) {
+	customRingRadii = true;
+	ringInnerRadii[ring] = innerRadius;
+	ringOuterRadii[ring] = outerRadius;
+	neighborRange = Math.max(1, Math.ceil(Math.max(...ringOuterRadii.slice(0, nRings))));
+}
+export function getRingRadiiState() {
+	return {
+		customRingRadii,
+		neighborRange,
+		ringInnerRadii: new Float32Array(ringInnerRadii),
+		ringOuterRadii: new Float32Array(ringOuterRadii),
+	};
+}
+export function restoreRingRadiiState(saved) {
+	customRingRadii = saved.customRingRadii;
+	neighborRange = saved.neighborRange;
+	ringInnerRadii.set(saved.ringInnerRadii);
+	ringOuterRadii.set(saved.ringOuterRadii);
+}
+function getCustomKernelIndex(dx, dy) {
+	return (dy + MAX_NEIGHBOR_RANGE) * KERNEL_SIDE + dx + MAX_NEIGHBOR_RANGE;
+}
+/** The painted kernel as { dx, dy, weight } entries, skipping unpainted offsets. */
+export function getCustomKernel() {
+	const entries = [];
+	for (let dy = -MAX_NEIGHBOR_RANGE; dy <= MAX_NEIGHBOR_RANGE; dy++) {
+		for (let dx = -MAX_NEIGHBOR_RANGE; dx <= MAX_NEIGHBOR_RANGE; dx++) {
+			const weight = customKernelWeights[getCustomKernelIndex(dx, dy)];
+			if (weight !== 0) entries.push({ dx, dy, weight });
+		}
+	}
+	return entries;
+}
+function setCustomKernel(entries) {
+	customKernelWeights.fill(0);
+	for (const { dx, dy, weight } of entries) customKernelWeights[getCustomKernelIndex(dx, dy)] = weight;
+}
+export function isValidCustomKernelOffset(dx, dy) {
+	return (
+		Number.isInteger(dx) &&
+		Number.isInteger(dy) &&
+		(dx !== 0 || dy !== 0) &&
+		Math.max(Math.abs(dx), Math.abs(dy)) <= MAX_NEIGHBOR_RANGE
+	);
+}
+function getCustomKernelRange(entries) {
+	return Math.max(1, ...entries.map(({ dx, dy }) => Math.max(Math.abs(dx), Math.abs(dy))));
+}
+/**
+ * Paint one offset of the Custom neighborhood (0 erases it). The neighbor range follows the painted
+ * extent. Returns false if the offset is out of range or the kernel would use too many distinct weights.
+ */
+export function setCustomKernelWeight(dx, dy, weight) {
+	if (!isValidCustomKernelOffset(dx, dy) || !Number.isFinite(weight)) return false;
+	const index = getCustomKernelIndex(dx, dy);
+	const previousWeight = customKernelWeights[index];
+	customKernelWeights[index] = weight;
+	const entries = getCustomKernel();
+	if (new Set(entries.map(entry => entry.weight)).size > MAX_CUSTOM_KERNEL_WEIGHTS) {
+		customKernelWeights[index] = previousWeight;
+		return false;
+	}
+	neighborRange = getCustomKernelRange(entries);
+	return true;
+}
+/**
+ * Start an empty Custom kernel from the current ring kernel, so switching to Custom keeps the shape, and
+ * fit the neighbor range to the painted extent.
+ */
+export function seedCustomKernel() {
+	if (!customKernelWeights.some(weight => weight !== 0)) {
+		const { data, count } = buildNeighborKernel();
+		for (let i = 0; i < count; i++) {
+			customKernelWeights[getCustomKernelIndex(data[i * 4], data[i * 4 + 1])] = data[i * 4 + 2];
+		}
+	}
+	neighborRange = getCustomKernelRange(getCustomKernel());
+}
+export function getCustomKernelState() {
+	return { neighborRange, customKernelWeights: new Float32Array(customKernelWeights) };
+}
+export function restoreCustomKernelState(saved) {
+	neighborRange = saved.neighborRange;
+	customKernelWeights.set(saved.customKernelWeights);
+}
 export function getTransitionType() {
 	return transitionType;
 }
@@ -90,29 +242,31 @@ export function restoreRuleCountOverride(v) {
 export function clearRuleCountOverride() {
 	ruleCountOverride = null;
 }
-export function getInactiveRulesPopulated() {
-	return inactiveRulesPopulated;
-}
-export function swapTransitionType() {
-	const temp = new Uint8Array(rulesByState);
-	const tempMin = minNeighborWeight;
-	const tempRuleCount = ruleCountOverride;
-	rulesByState.set(inactiveRulesByState);
-	minNeighborWeight = inactiveMinNeighborWeight;
-	ruleCountOverride = inactiveRuleCountOverride;
-	inactiveRulesByState.set(temp);
-	inactiveMinNeighborWeight = tempMin;
-	inactiveRuleCountOverride = tempRuleCount;
-	const wasPopulated = inactiveRulesPopulated;
-	inactiveRulesPopulated = true;
-	transitionType = (transitionType + 1) % TRANSITION_TYPES.length;
-	return wasPopulated;
-}
-export function clearInactiveRules() {
-	inactiveRulesByState.fill(0);
-	inactiveMinNeighborWeight = 0;
-	inactiveRuleCountOverride = null;
-	inactiveRulesPopulated = false;
+export function getInactiveRulesPopulated(type = (transitionType + 1) % TRANSITION_TYPES.length) {
+	return !!inactiveRulesets[type];
+}
+/**
+ * Set the current rules aside and switch to the next (or previous) transition type, restoring the rules
+ * it had last time. Returns false if it had none, leaving the rules cleared.
+ */
+export function swapTransitionType(direction = 1) {
+	inactiveRulesets[transitionType] = {
+		rulesByState: new Uint8Array(rulesByState),
+		minNeighborWeight,
+		ruleCountOverride,
+	};
+	transitionType = (transitionType + direction + TRANSITION_TYPES.length) % TRANSITION_TYPES.length;
+	const saved = inactiveRulesets[transitionType];
+	inactiveRulesets[transitionType] = null;
+	rulesByState.set(saved?.rulesByState ?? new Uint8Array(rulesByState.length));
+	minNeighborWeight = saved?.minNeighborWeight ?? 0;
+	ruleCountOverride = saved?.ruleCountOverride ?? null;
+	return !!saved;
+}
+/** Forget the rules set aside for `type`, or for every transition type. */
+export function clearInactiveRules(type) {
+	if (type === undefined) inactiveRulesets.length = 0;
+	else inactiveRulesets[type] = null;
 }
 export function getRingWeightPresetIdx() {
 	return ringWeightPresetIdx;
@@ -125,6 +279,80 @@ export function getNStates() {
 }
 export function setNStates(v) {
 	nStates = v;
+	if (borderState >= nStates) borderState = 0;
+	for (let i = 0; i < MAX_N_STATES; i++) triggerStates[i] %= nStates;
+	aliveStateCount = Math.min(aliveStateCount, nStates - 1);
+}
+export function getSumOrderTopK() {
+	return sumOrderTopK;
+}
+export function setSumOrderTopK(v) {
+	sumOrderTopK = v;
+}
+export function getTriggerStates() {
+	return triggerStates;
+}
+export function setTriggerState(stateIndex, triggerState) {
+	triggerStates[stateIndex] = triggerState;
+}
+/** Pick a random trigger state for every state. */
+export function randomizeTriggerStates() {
+	for (let i = 0; i < MAX_N_STATES; i++) triggerStates[i] = Math.floor(random() * nStates);
+}
+export function getTransitionProbabilities() {
+	return transitionProbabilities;
+}
+export function setTransitionProbabilities(values) {
+	transitionProbabilities.fill(1);
+	transitionProbabilities.set(values.slice(0, MAX_N_STATES));
+}
+export function getColorOrder() {
+	return colorOrder;
+}
+/** Give the first states the palette colors in `values`; the rest take the unused colors in order. */
+export function setColorOrder(values) {
+	const used = new Set(values.slice(0, MAX_N_STATES));
+	const unused = Array.from({ length: MAX_N_STATES }, (_, i) => i).filter(i => !used.has(i));
+	colorOrder.set([...used, ...unused]);
+}
+/** Whether states take palette colors out of order. Takes getStateSnapshot()-style params. */
+export function hasColorOrder(params = { nStates, colorOrder }) {
+	return Array.from(params.colorOrder ?? []).some((color, state) => state < params.nStates && color !== state);
+}
+/** Whether some rule only fires with probability below 1. Takes getStateSnapshot()-style params. */
+export function hasStochasticRules(params = { nStates, transitionProbabilities }) {
+	return Array.from(params.transitionProbabilities ?? []).some((p, state) => state < params.nStates && p < 1);
+}
+
+/** Round a probability to the 1/255 steps the URL hash stores. */
+export function quantizeProbability(p) {
+	return Math.round(Math.min(1, Math.max(0, p)) * PROBABILITY_SCALE) / PROBABILITY_SCALE;
+}
+/** Give about half the target states a random probability below 1, and at least one. */
+export function randomizeTransitionProbabilities() {
+	transitionProbabilities.fill(1);
+	const forcedState = Math.floor(random() * nStates);
+	for (let i = 0; i < nStates; i++) {
+		if (i === forcedState || random() < 0.5)
+			transitionProbabilities[i] = quantizeProbability(0.1 + random() * 0.85);
+	}
+}
+export function getGridSeed() {
+	return gridSeed;
+}
+export function setGridSeed(v) {
+	gridSeed = v >>> 0;
+}
+/** Draw a new grid seed from the shared PRNG. */
+export function reseedGrid() {
+	gridSeed = randomSeed();
+	return gridSeed;
+}
+export function getAliveStateCount() {
+	return aliveStateCount;
+}
+export function setAliveStateCount(v) {
+	aliveStateCount = v;
 }
 export function getCellInertia() {
 	return cellInertia;
@@ -132,8 +360,12 @@ export function getCellInertia() {
 export function setCellInertia(v) {
 	cellInertia = v;
 }
+/**
+ * Whether each state reads its own rule table. Always true for Generations: dead cells and alive ones see
+ * the same neighbor sums, so with one shared table dead cells could jump straight into a decay state.
+ */
 export function getIsSemitotalistic() {
-	return isSemitotalistic;
+	return isSemitotalistic || transitionType === GENERATIONS_TRANSITION_TYPE;
 }
 export function setIsSemitotalistic(v) {
 	isSemitotalistic = v;
@@ -144,6 +376,12 @@ export function getWrapBehaviour() {
 export function setWrapBehaviour(v) {
 	wrapBehaviour = v;
 }
+export function getBorderState() {
+	return borderState;
+}
+export function setBorderState(v) {
+	borderState = v;
+}
 export function getNeighborhoodType() {
 	return neighborhoodType;
 }
@@ -190,6 +428,9 @@ export function restoreWeightsState(weightsIdx, nextValues) {
 	nextWeightsIdx = weightsIdx;
 	weights.set(nextValues);
 }
+export function setWeight(stateIndex, value) {
+	weights[stateIndex] = value;
+}
 export function getPaletteOffset() {
 	return paletteOffset;
 }
@@ -207,8 +448,12 @@ function getRulesetStart(stateIndex) {
 	return stateIndex * MAX_N_RULES;
 }
 
-/** Ring boundary distance: Von Neumann = Manhattan; Euclid = Euclidean; others = Chebyshev. */
-export function cellDist(dx, dy, nhType) {
+/**
+ * Ring boundary distance: Von Neumann = Manhattan; Euclid = Euclidean; others = Chebyshev. On a hex grid,
+ * (dx, dy) is an axial offset and the distance is the hex step count, or Euclidean for Euclid.
+ */
+export function cellDist(dx, dy, nhType, isHexGrid = false) {
+	if (isHexGrid) return nhType === 5 ? hexEuclideanDistance(dx, dy) : hexDistance(dx, dy);
 	if (nhType === 1) return Math.abs(dx) + Math.abs(dy);
 	if (nhType === 5) return Math.sqrt(dx * dx + dy * dy);
 	return Math.max(Math.abs(dx), Math.abs(dy));
@@ -220,17 +465,17 @@ function permutationCount(n, k) {
 	return count;
 }
 
-function getSumOrderTopStateCount(ns = nStates) {
-	return Math.min(3, ns);
+export function getSumOrderTopStateCount(ns = nStates, k = sumOrderTopK) {
+	return Math.min(k, ns);
 }
 
-export function getSumOrderRuleCount(ns = nStates) {
-	return permutationCount(ns, getSumOrderTopStateCount(ns));
+export function getSumOrderRuleCount(ns = nStates, k = sumOrderTopK) {
+	return permutationCount(ns, getSumOrderTopStateCount(ns, k));
 }
 
-export function getSumOrderStatesForRuleIndex(ruleIndex, ns = nStates) {
-	const topStateCount = getSumOrderTopStateCount(ns);
-	const ruleCount = getSumOrderRuleCount(ns);
+export function getSumOrderStatesForRuleIndex(ruleIndex, ns = nStates, k = sumOrderTopK) {
+	const topStateCount = getSumOrderTopStateCount(ns, k);
+	const ruleCount = getSumOrderRuleCount(ns, k);
 	if (ruleIndex < 0 || ruleIndex >= ruleCount) return null;
 
 	const remainingStates = Array.from({ length: ns }, (_, i) => i);
@@ -246,6 +491,20 @@ export function getSumOrderStatesForRuleIndex(ruleIndex, ns = nStates) {
 	return states;
 }
 
+/** Inverse of getSumOrderStatesForRuleIndex: the rule index for the top states, highest sum first. */
+export function getSumOrderRuleIndex(topStates, ns = nStates, k = sumOrderTopK) {
+	const topStateCount = getSumOrderTopStateCount(ns, k);
+	let ruleIndex = 0;
+	for (let pos = 0; pos < topStateCount; pos++) {
+		let rank = topStates[pos];
+		for (let prev = 0; prev < pos; prev++) {
+			if (topStates[prev] < topStates[pos]) rank--;
+		}
+		ruleIndex += rank * permutationCount(ns - pos - 1, topStateCount - pos - 1);
+	}
+	return ruleIndex;
+}
+
 export function getRuleset(ruleCount, stateIndex) {
 	const start = getRulesetStart(stateIndex);
 	return rulesByState.subarray(start, start + ruleCount);
@@ -256,31 +515,45 @@ export function setRuleset(ruleCount, stateIndex, values) {
 	rulesByState.set(values.subarray(0, ruleCount), start);
 }
 
+/** Split the neighbor range evenly across the rings, unless the radii were set by hand. */
 export function generateRingRadii() {
-	const useEuclidean = euclideanRings || neighborhoodType === 5;
-	if (nRings === 1) {
-		ringInnerRadii[0] = 1;
-		ringOuterRadii[0] = neighborRange;
+	if (!customRingRadii) generateEvenRingRadii();
+	for (let i = nRings; i < MAX_N_RINGS; i++) {
+		ringInnerRadii[i] = 0;
+		ringOuterRadii[i] = 0;
+	}
+}
+
+// Evenly spaced ring radii for `params`, the live state by default.
+function getEvenRingRadii(params = { neighborRange, nRings, euclideanRings, neighborhoodType }) {
+	const { neighborRange: range, nRings: n } = params;
+	const useEuclidean = params.euclideanRings || params.neighborhoodType === 5;
+	const inner = [];
+	const outer = [];
+	if (n === 1) {
+		inner[0] = 1;
+		outer[0] = range;
 	} else if (useEuclidean) {
-		const maxR = neighborRange;
-		const step = maxR / nRings;
-		for (let i = 0; i < nRings; i++) {
-			ringInnerRadii[i] = Math.max(1, i * step);
-			ringOuterRadii[i] = Math.max(ringInnerRadii[i], (i + 1) * step);
+		const step = range / n;
+		for (let i = 0; i < n; i++) {
+			inner[i] = Math.max(1, i * step);
+			outer[i] = Math.max(inner[i], (i + 1) * step);
 		}
 	} else {
-		const maxR = neighborRange;
-		const step = maxR / nRings;
-		for (let i = 0; i < nRings; i++) {
+		const step = range / n;
+		for (let i = 0; i < n; i++) {
 			const base = Math.floor(i * step);
-			ringInnerRadii[i] = Math.max(1, base + 1);
-			ringOuterRadii[i] = Math.max(ringInnerRadii[i], Math.floor((i + 1) * step));
+			inner[i] = Math.max(1, base + 1);
+			outer[i] = Math.max(inner[i], Math.floor((i + 1) * step));
 		}
 	}
-	for (let i = nRings; i < MAX_N_RINGS; i++) {
-		ringInnerRadii[i] = 0;
-		ringOuterRadii[i] = 0;
-	}
+	return { ringInnerRadii: inner, ringOuterRadii: outer };
+}
+
+function generateEvenRingRadii() {
+	const radii = getEvenRingRadii();
+	ringInnerRadii.set(radii.ringInnerRadii);
+	ringOuterRadii.set(radii.ringOuterRadii);
 }
 
 export function generateRings() {
@@ -335,49 +608,103 @@ export function countCellsInRing(innerR, outerR) {
 	return count;
 }
 
-function cellMatchesRing(dx, dy, ring) {
-	const useEuclidean = euclideanRings || neighborhoodType === 5;
-	const dist2 = dx * dx + dy * dy;
-	const inner = ringInnerRadii[ring];
-	const outer = ringOuterRadii[ring];
+function getKernelParams() {
+	return {
+		neighborRange,
+		nRings,
+		ringInnerRadii,
+		ringOuterRadii,
+		ringWeights,
+		euclideanRings,
+		neighborhoodType,
+		hexGrid,
+		customKernel: neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE ? getCustomKernel() : [],
+	};
+}
+
+// Hex versions of the Cross (the three axes), Star (the three diagonals between them) and
+// Checkerboard (one of three interleaved sublattices) shapes.
+function matchesHexShape(dq, dr, nhType) {
+	if (nhType === 2) return dq === 0 || dr === 0 || dq + dr === 0;
+	if (nhType === 3) return dq === dr || dq === -2 * dr || dr === -2 * dq;
+	if (nhType === 4) return (((dq - dr) % 3) + 3) % 3 === 0;
+	return true;
+}
+
+/** Whether the offset falls in `ring`. `params` is getKernelParams() or a getStateSnapshot() object. */
+export function cellMatchesRing(dx, dy, ring, params) {
+	const useEuclidean = params.euclideanRings || params.neighborhoodType === 5;
+	const nhType = params.neighborhoodType;
+	const isHexGrid = !!params.hexGrid;
+	const dist2 = isHexGrid ? dx * dx + dx * dy + dy * dy : dx * dx + dy * dy;
+	const inner = params.ringInnerRadii[ring];
+	const outer = params.ringOuterRadii[ring];
 	const iOuter = Math.floor(outer);
 	const iInner = Math.floor(inner);
-	if (Math.abs(dx) > iOuter || Math.abs(dy) > iOuter) return false;
+	if (!isHexGrid && (Math.abs(dx) > iOuter || Math.abs(dy) > iOuter)) return false;
 	if (useEuclidean) {
 		const inner2 = inner * inner;
 		const outer2 = outer * outer;
 		if (dist2 < inner2 || dist2 > outer2) return false;
 	} else {
-		const dist = cellDist(dx, dy, neighborhoodType);
+		const dist = cellDist(dx, dy, nhType, isHexGrid);
 		if (dist < iInner || dist > iOuter) return false;
 	}
-	if (neighborhoodType === 1 && Math.abs(dx) + Math.abs(dy) > iOuter) return false;
-	if (neighborhoodType === 2 && dx !== 0 && dy !== 0) return false;
-	if (neighborhoodType === 3 && Math.abs(dx) !== Math.abs(dy)) return false;
-	if (neighborhoodType === 4 && ((dx + dy) & 1) !== 0) return false;
+	if (isHexGrid) return matchesHexShape(dx, dy, nhType);
+	if (nhType === 1 && Math.abs(dx) + Math.abs(dy) > iOuter) return false;
+	if (nhType === 2 && dx !== 0 && dy !== 0) return false;
+	if (nhType === 3 && Math.abs(dx) !== Math.abs(dy)) return false;
+	if (nhType === 4 && ((dx + dy) & 1) !== 0) return false;
 	return true;
 }
 
-function getKernelWeightForOffset(dx, dy) {
+function getKernelWeightForOffset(dx, dy, params) {
 	let weight = 0;
-	for (let ring = 0; ring < nRings; ring++) {
-		if (cellMatchesRing(dx, dy, ring)) weight += ringWeights[ring];
+	for (let ring = 0; ring < params.nRings; ring++) {
+		if (cellMatchesRing(dx, dy, ring, params)) weight += params.ringWeights[ring];
 	}
 	return weight;
 }
 
-function forEachKernelWeight(cb) {
-	for (let dx = -neighborRange; dx <= neighborRange; dx++) {
-		for (let dy = -neighborRange; dy <= neighborRange; dy++) {
+function forEachKernelWeight(cb, params = getKernelParams()) {
+	if (params.neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE) {
+		for (const { dx, dy, weight } of params.customKernel) {
+			if (weight !== 0) cb(weight, dx, dy);
+		}
+		return;
+	}
+	// Hex cells within a Euclidean radius can be up to 2/√3 of it away along an axis.
+	const isEuclideanHex = params.hexGrid && (params.euclideanRings || params.neighborhoodType === 5);
+	const range = isEuclideanHex ? Math.ceil((params.neighborRange * 2) / Math.sqrt(3)) : params.neighborRange;
+	for (let dx = -range; dx <= range; dx++) {
+		for (let dy = -range; dy <= range; dy++) {
 			if (dx === 0 && dy === 0) continue;
-			const weight = getKernelWeightForOffset(dx, dy);
+			const weight = getKernelWeightForOffset(dx, dy, params);
 			if (weight !== 0) cb(weight, dx, dy);
 		}
 	}
 }
 
+/**
+ * The weight each state adds to a neighbor sum: its own weight, except that Generations only counts alive
+ * states. `params` defaults to the live state; a getStateSnapshot() object works too.
+ */
+export function getNeighborSumWeights(params = { nStates, weights, transitionType, aliveStateCount }) {
+	const isGenerations = params.transitionType === GENERATIONS_TRANSITION_TYPE;
+	return Array.from({ length: params.nStates }, (_, state) =>
+		isGenerations && (state === 0 || state > params.aliveStateCount) ? 0 : (params.weights[state] ?? 0),
+	);
+}
+
+/** Whether `state` is a Generations decay state, which steps to the next state regardless of neighbors. */
+export function isDecayState(state, params = { transitionType, aliveStateCount }) {
+	return params.transitionType === GENERATIONS_TRANSITION_TYPE && state > params.aliveStateCount;
+}
+
 function getExactSumBounds() {
-	const { minWeight, maxWeight } = Array.from(weights.slice(0, nStates)).reduce(
+	// A state count adds the kernel weight of each trigger-state neighbor, as if it weighed 1 and others 0.
+	const sumWeights = transitionType === STATE_COUNT_TRANSITION_TYPE ? [0, 1] : getNeighborSumWeights();
+	const { minWeight, maxWeight } = sumWeights.reduce(
 		(acc, weight) => {
 			if (weight < acc.minWeight) acc.minWeight = weight;
 			if (weight > acc.maxWeight) acc.maxWeight = weight;
@@ -402,7 +729,11 @@ function getExactSumBounds() {
 	};
 }
 
-export function buildNeighborKernel() {
+/**
+ * Kernel texture data: one (dx, dy, weight) texel per neighbor with a non-zero weight.
+ * Defaults to the live state; pass a getStateSnapshot() object to build the kernel for a snapshot.
+ */
+export function buildNeighborKernel(params = getKernelParams()) {
 	const data = new Float32Array(MAX_NEIGHBOR_CELLS * 4);
 	let count = 0;
 	forEachKernelWeight((weight, dx, dy) => {
@@ -411,7 +742,7 @@ export function buildNeighborKernel() {
 		data[idx + 1] = dy;
 		data[idx + 2] = weight;
 		count++;
-	});
+	}, params);
 	return {
 		data,
 		count,
@@ -456,7 +787,7 @@ export function getCurrentRuleCount() {
 export function getColorsForUniform() {
 	const nColors = rawPalettes[currentPaletteId].length;
 	return Array.from({ length: MAX_N_STATES }, (_, i) => {
-		const sourceState = (i + paletteOffset) % nColors;
+		const sourceState = (colorOrder[i] + paletteOffset) % nColors;
 		const sourceIndex = sourceState * 3;
 		return [colors[sourceIndex], colors[sourceIndex + 1], colors[sourceIndex + 2]];
 	});
@@ -474,15 +805,63 @@ export function resetPaletteOffset() {
 	return setPaletteOffset(0);
 }
 
-export function createRandomRuleset(ruleCount) {
+/**
+ * The rules a Generations table may hold for `stateIndex` besides 0 (no change): dead cells may be born into
+ * an alive state; alive cells may switch alive states or start decaying (or die, with no decay states);
+ * decay states ignore their rules. Takes getStateSnapshot()-style params.
+ */
+export function getGenerationsRuleTargets(stateIndex, params = { nStates, aliveStateCount }) {
+	const aliveRules = Array.from({ length: params.aliveStateCount }, (_, i) => i + 2);
+	if (stateIndex === 0) return aliveRules;
+	if (stateIndex > params.aliveStateCount) return [];
+	const dyingRule = params.aliveStateCount + 1 < params.nStates ? params.aliveStateCount + 2 : 1;
+	return [...aliveRules, dyingRule];
+}
+
+/** Whether `rule` may go in `stateIndex`'s table. Only Generations limits it; see getGenerationsRuleTargets(). */
+export function isAllowedRule(stateIndex, rule, params = { nStates, aliveStateCount, transitionType }) {
+	if (rule === 0 || params.transitionType !== GENERATIONS_TRANSITION_TYPE) return true;
+	return getGenerationsRuleTargets(stateIndex, params).includes(((rule - 1) % params.nStates) + 1);
+}
+
+function createRandomGenerationsRuleset(ruleCount, stateIndex) {
+	const targets = getGenerationsRuleTargets(stateIndex ?? 1);
+	if (targets.length === 0) return new Uint8Array(ruleCount);
+	// Alive cells start dying twice as often as they switch to any one alive state.
+	if (stateIndex !== 0) targets.push(targets.at(-1));
+	return Uint8Array.from({ length: ruleCount }, () =>
+		random() < cellInertia ? 0 : targets[Math.floor(random() * targets.length)],
+	);
+}
+
+function createRandomExactSumRuleset(ruleCount) {
 	const newRules = Array.from({ length: ruleCount }, (_, i) => {
 		if (i < nStates && cellInertia < 1) return i + 1;
-		return Math.random() < cellInertia ? 0 : Math.floor(Math.random() * (nStates + 1));
+		return random() < cellInertia ? 0 : Math.floor(random() * (nStates + 1));
 	});
 	shuffleArray(newRules);
 	return new Uint8Array(newRules);
 }
 
+// Like Exact sum, except that with no trigger-state neighbors a cell stays as it is, so activity has to
+// spread from cells in trigger states.
+function createRandomStateCountRuleset(ruleCount) {
+	const newRules = createRandomExactSumRuleset(ruleCount);
+	const zeroCountIndex = -minNeighborWeight;
+	if (zeroCountIndex >= 0 && zeroCountIndex < ruleCount) newRules[zeroCountIndex] = 0;
+	return newRules;
+}
+
+/**
+ * A random rule table. `stateIndex` is the state the table applies to when semitotalistic, and shapes
+ * Generations rules; leave it out for a shared table.
+ */
+export function createRandomRuleset(ruleCount, stateIndex) {
+	if (transitionType === GENERATIONS_TRANSITION_TYPE) return createRandomGenerationsRuleset(ruleCount, stateIndex);
+	if (transitionType === STATE_COUNT_TRANSITION_TYPE) return createRandomStateCountRuleset(ruleCount);
+	return createRandomExactSumRuleset(ruleCount);
+}
+
 const N_WEIGHT_DISTRIBUTIONS = 4;
 export function updateWeights(direction = 1) {
 	let returnLabel = '';
@@ -503,7 +882,7 @@ export function updateWeights(direction = 1) {
 			break;
 		}
 		case 3:
-			for (let i = 0; i < MAX_N_STATES; ++i) weights[i] = Math.random();
+			for (let i = 0; i < MAX_N_STATES; ++i) weights[i] = random();
 			returnLabel = 'random';
 			break;
 	}
@@ -512,7 +891,7 @@ export function updateWeights(direction = 1) {
 
 export function getStateSnapshot() {
 	const ruleCount = getCurrentRuleCount();
-	const storedRulesetCount = isSemitotalistic ? nStates : 1;
+	const storedRulesetCount = getIsSemitotalistic() ? nStates : 1;
 	const rulesList = [];
 	for (let stateIndex = 0; stateIndex < storedRulesetCount; stateIndex++) {
 		rulesList.push(Array.from(getRuleset(ruleCount, stateIndex)));
@@ -520,37 +899,138 @@ export function getStateSnapshot() {
 	return {
 		nStates,
 		weights: Array.from(weights.slice(0, nStates)),
+		cellInertia,
 		neighborRange,
 		nRings,
 		ringInnerRadii: Array.from(ringInnerRadii.slice(0, nRings)),
 		ringOuterRadii: Array.from(ringOuterRadii.slice(0, nRings)),
 		ringWeights: Array.from(ringWeights.slice(0, nRings)),
 		euclideanRings,
+		customRingRadii,
+		hexGrid,
 		neighborhoodType,
 		neighborhoodTypeName: NEIGHBORHOOD_TYPES[neighborhoodType],
+		customKernel: neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE ? getCustomKernel() : [],
 		wrapBehaviour,
 		wrapBehaviourName: WRAP_BEHAVIOURS[wrapBehaviour],
-		isSemitotalistic,
+		borderState,
+		isSemitotalistic: getIsSemitotalistic(),
 		minNeighborWeight,
 		ruleCount,
 		rulesByState: rulesList,
 		colors: getColorsForUniform().slice(0, nStates),
 		currentPaletteId,
 		paletteOffset,
+		colorOrder: Array.from(colorOrder.slice(0, nStates)),
 		nextWeightsIdx,
 		transitionType,
 		transitionTypeName: TRANSITION_TYPES[transitionType],
+		aliveStateCount,
+		sumOrderTopK,
+		triggerStates: Array.from(triggerStates.slice(0, nStates)),
+		transitionProbabilities: Array.from(transitionProbabilities.slice(0, nStates)),
+		gridSeed,
 		ringWeightPresetIdx,
 	};
 }
 
 const RING_WEIGHT_SCALE = 127;
+// v9+: weights and ring weights are stored as float32, the precision they have in state.
+const FLOAT_BYTES = 4;
+const V9_FLAG_EUCLIDEAN_RINGS = 0x01;
+// v10+: hand-set ring radii follow the flags byte as float32 (inner, outer) pairs.
+const V10_FLAG_CUSTOM_RING_RADII = 0x02;
+const V12_FLAG_HEX_GRID = 0x04;
+const V17_FLAG_STOCHASTIC_RULES = 0x08;
+const V19_FLAG_COLOR_ORDER = 0x10;
+// v13+: a Fixed edge's border state follows the flags byte as one byte.
+// v14+: then, for the Generations transition type, one byte for the number of alive states.
+// v15+: or, for Sum order, one byte for the number of top states ranked.
+// v16+: or, for State count, one trigger state byte per state.
+// v17+: then, for stochastic rules, one probability byte (in 255ths) per target state.
+// v18+: then the grid seed, as a uint32.
+// v19+: then, when states take palette colors out of order, one palette index byte per state.
+const GRID_SEED_BYTES = 4;
+
+/*
+ * v11+: a Custom neighborhood's kernel follows, as a palette of distinct weights (count byte, then
+ * float32s) and one byte per offset in the (2 × neighborRange + 1)² square, row by row from dy = -range:
+ * 0 for no weight, otherwise a 1-based palette index.
+ */
+function serializeCustomKernel(snapshot) {
+	const range = snapshot.neighborRange;
+	const side = range * 2 + 1;
+	const palette = [...new Set(snapshot.customKernel.map(({ weight }) => Math.fround(weight)))];
+	const buf = new Uint8Array(1 + palette.length * FLOAT_BYTES + side * side);
+	const dv = new DataView(buf.buffer);
+	let off = 0;
+	buf[off++] = palette.length;
+	for (const weight of palette) {
+		dv.setFloat32(off, weight, true);
+		off += FLOAT_BYTES;
+	}
+	for (const { dx, dy, weight } of snapshot.customKernel) {
+		buf[off + (dy + range) * side + dx + range] = palette.indexOf(Math.fround(weight)) + 1;
+	}
+	return buf;
+}
+
+function deserializeCustomKernel(buf, off, range) {
+	const fail = (reason, details = {}) => ({ ok: false, reason, ...details });
+	const side = range * 2 + 1;
+	if (buf.length < off + 1) return fail('buffer too short for custom kernel', { off, bufLength: buf.length });
+	const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+	const nWeights = buf[off++];
+	if (buf.length < off + nWeights * FLOAT_BYTES + side * side)
+		return fail('buffer too short for custom kernel', { off, nWeights, range, bufLength: buf.length });
+	const palette = [];
+	for (let i = 0; i < nWeights; i++) {
+		palette.push(dv.getFloat32(off, true));
+		off += FLOAT_BYTES;
+	}
+	if (!palette.every(Number.isFinite)) return fail('non-finite custom kernel weight', { palette });
+	const customKernel = [];
+	for (let dy = -range; dy <= range; dy++) {
+		for (let dx = -range; dx <= range; dx++) {
+			const paletteIndex = buf[off++];
+			if (paletteIndex === 0) continue;
+			if (paletteIndex > nWeights || (dx === 0 && dy === 0))
+				return fail('invalid custom kernel entry', { dx, dy, paletteIndex, nWeights });
+			customKernel.push({ dx, dy, weight: palette[paletteIndex - 1] });
+		}
+	}
+	return { ok: true, customKernel, off };
+}
 
 function serializeSnapshot(snapshot) {
 	const { nStates: ns, ruleCount, isSemitotalistic: semi, nRings: nr } = snapshot;
 	const storedRulesetCount = semi ? ns : 1;
 	const rulesByteLength = storedRulesetCount * ruleCount;
-	const n = 1 + 1 + 1 + 1 + 1 + 1 + 1 + 3 + 2 + 2 + rulesByteLength + ns + nr + 2;
+	const radiiByteLength = snapshot.customRingRadii ? nr * 2 * FLOAT_BYTES : 0;
+	const customKernelBytes =
+		snapshot.neighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE ? serializeCustomKernel(snapshot) : new Uint8Array(0);
+	const headerLength = 1 + 1 + 1 + 1 + 1 + 1 + 1 + 3 + 2 + 2;
+	const isFixedWrap = snapshot.wrapBehaviour === FIXED_WRAP_BEHAVIOUR;
+	const isGenerations = snapshot.transitionType === GENERATIONS_TRANSITION_TYPE;
+	const isSumOrder = snapshot.transitionType === 1;
+	const isStateCount = snapshot.transitionType === STATE_COUNT_TRANSITION_TYPE;
+	const isStochastic = hasStochasticRules(snapshot);
+	const isColorOrdered = hasColorOrder(snapshot);
+	const n =
+		headerLength +
+		rulesByteLength +
+		(ns + nr) * FLOAT_BYTES +
+		2 +
+		1 +
+		(isFixedWrap ? 1 : 0) +
+		(isGenerations ? 1 : 0) +
+		(isSumOrder ? 1 : 0) +
+		(isStateCount ? ns : 0) +
+		(isStochastic ? ns : 0) +
+		GRID_SEED_BYTES +
+		(isColorOrdered ? ns : 0) +
+		radiiByteLength +
+		customKernelBytes.length;
 	const buf = new Uint8Array(n);
 	const dv = new DataView(buf.buffer);
 	let off = 0;
@@ -565,6 +1045,7 @@ function serializeSnapshot(snapshot) {
 		(semi ? 0x20 : 0) |
 		((snapshot.wrapBehaviour & 0x03) << 6);
 	const po = Math.min(MAX_N_STATES - 1, Math.max(0, snapshot.paletteOffset));
+	// The wrap behaviour's low 2 bits share the flags byte; the high 3 bits share the palette offset's.
 	buf[off++] = (po & 31) | ((snapshot.wrapBehaviour >> 2) << 5);
 	const pid = snapshot.currentPaletteId || paletteIds[0];
 	for (let i = 0; i < 3; i++) buf[off++] = pid.charCodeAt(i);
@@ -577,14 +1058,46 @@ function serializeSnapshot(snapshot) {
 		for (let i = 0; i < ruleCount; i++) buf[off++] = ruleset[i];
 	}
 	const w = snapshot.weights;
-	for (let i = 0; i < ns; i++) buf[off++] = Math.min(255, Math.round((w[i] ?? 0) * WEIGHT_SCALE));
+	for (let i = 0; i < ns; i++) {
+		dv.setFloat32(off, w[i] ?? 0, true);
+		off += FLOAT_BYTES;
+	}
 	const rw = snapshot.ringWeights;
 	for (let i = 0; i < nr; i++) {
-		const clamped = Math.max(-1, Math.min(1, rw[i] ?? 0));
-		dv.setInt8(off++, Math.round(clamped * RING_WEIGHT_SCALE));
+		dv.setFloat32(off, rw[i] ?? 0, true);
+		off += FLOAT_BYTES;
 	}
 	buf[off++] = Math.max(0, Math.min(TRANSITION_TYPES.length - 1, snapshot.transitionType ?? 0));
 	buf[off++] = Math.max(0, Math.min(RING_WEIGHT_PRESETS.length - 1, snapshot.ringWeightPresetIdx ?? 0));
+	buf[off++] =
+		(snapshot.euclideanRings ? V9_FLAG_EUCLIDEAN_RINGS : 0) |
+		(snapshot.customRingRadii ? V10_FLAG_CUSTOM_RING_RADII : 0) |
+		(snapshot.hexGrid ? V12_FLAG_HEX_GRID : 0) |
+		(isStochastic ? V17_FLAG_STOCHASTIC_RULES : 0) |
+		(isColorOrdered ? V19_FLAG_COLOR_ORDER : 0);
+	if (isFixedWrap) buf[off++] = snapshot.borderState ?? 0;
+	if (isGenerations) buf[off++] = snapshot.aliveStateCount;
+	if (isSumOrder) buf[off++] = snapshot.sumOrderTopK;
+	if (isStateCount) {
+		for (let i = 0; i < ns; i++) buf[off++] = snapshot.triggerStates[i];
+	}
+	if (isStochastic) {
+		for (let i = 0; i < ns; i++)
+			buf[off++] = Math.round(quantizeProbability(snapshot.transitionProbabilities[i]) * PROBABILITY_SCALE);
+	}
+	dv.setUint32(off, snapshot.gridSeed ?? gridSeed, true);
+	off += GRID_SEED_BYTES;
+	if (isColorOrdered) {
+		for (let i = 0; i < ns; i++) buf[off++] = snapshot.colorOrder[i];
+	}
+	if (snapshot.customRingRadii) {
+		for (let i = 0; i < nr; i++) {
+			dv.setFloat32(off, snapshot.ringInnerRadii[i], true);
+			dv.setFloat32(off + FLOAT_BYTES, snapshot.ringOuterRadii[i], true);
+			off += 2 * FLOAT_BYTES;
+		}
+	}
+	buf.set(customKernelBytes, off);
 	return buf;
 }
 
@@ -593,27 +1106,41 @@ function applySnapshot(snapshot) {
 	neighborRange = snapshot.neighborRange;
 	nRings = snapshot.nRings;
 	euclideanRings = snapshot.euclideanRings ?? false;
+	hexGrid = !!snapshot.hexGrid;
+	customRingRadii = !!snapshot.customRingRadii;
+	if (customRingRadii) {
+		ringInnerRadii.fill(0);
+		ringOuterRadii.fill(0);
+		ringInnerRadii.set(snapshot.ringInnerRadii.slice(0, nRings));
+		ringOuterRadii.set(snapshot.ringOuterRadii.slice(0, nRings));
+	}
 	cellInertia = snapshot.cellInertia ?? cellInertia;
 	neighborhoodType = snapshot.neighborhoodType;
+	setCustomKernel(snapshot.customKernel ?? []);
 	nextWeightsIdx = snapshot.nextWeightsIdx ?? 0;
 	isSemitotalistic = snapshot.isSemitotalistic;
 	wrapBehaviour =
 		snapshot.wrapBehaviour < N_WRAP_BEHAVIOURS ? snapshot.wrapBehaviour : 0;
+	borderState = (snapshot.borderState ?? 0) < nStates ? (snapshot.borderState ?? 0) : 0;
 	currentPaletteId =
 		snapshot.currentPaletteId in rawPalettes ? snapshot.currentPaletteId : paletteIds[0];
 	paletteOrderIdx = paletteIds.indexOf(currentPaletteId);
 	if (paletteOrderIdx === -1) paletteOrderIdx = 0;
 	const nColors = rawPalettes[currentPaletteId].length;
 	paletteOffset = ((snapshot.paletteOffset % nColors) + nColors) % nColors;
+	setColorOrder(snapshot.colorOrder ?? []);
 	transitionType = snapshot.transitionType < TRANSITION_TYPES.length ? snapshot.transitionType : 0;
 	ringWeightPresetIdx =
 		snapshot.ringWeightPresetIdx < RING_WEIGHT_PRESETS.length ? snapshot.ringWeightPresetIdx : 0;
 	minNeighborWeight = snapshot.minNeighborWeight;
 	ruleCountOverride = snapshot.ruleCount;
-	inactiveRulesByState.fill(0);
-	inactiveMinNeighborWeight = 0;
-	inactiveRuleCountOverride = null;
-	inactiveRulesPopulated = false;
+	clearInactiveRules();
+	aliveStateCount = snapshot.aliveStateCount ?? 1;
+	sumOrderTopK = snapshot.sumOrderTopK ?? DEFAULT_SUM_ORDER_TOP_K;
+	if (snapshot.triggerStates) triggerStates.set(snapshot.triggerStates.slice(0, nStates));
+	setTransitionProbabilities(snapshot.transitionProbabilities ?? []);
+	// Links from before v18 have no grid seed and keep the current one.
+	if (snapshot.gridSeed !== undefined) gridSeed = snapshot.gridSeed >>> 0;
 	const ruleCount = snapshot.ruleCount;
 	const storedRulesetCount = snapshot.isSemitotalistic ? snapshot.nStates : 1;
 	rulesByState.fill(0);
@@ -670,7 +1197,8 @@ function deserializeToSnapshot(buf) {
 		});
 	if (newNRings < MIN_N_RINGS || newNRings > MAX_N_RINGS)
 		return fail('nRings out of range', { newNRings, min: MIN_N_RINGS, max: MAX_N_RINGS });
-	if (newNeighborhoodType >= N_NEIGHBORHOOD_TYPES)
+	const isCustomBeforeV11 = newNeighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE && version < 11;
+	if (newNeighborhoodType >= N_NEIGHBORHOOD_TYPES || isCustomBeforeV11)
 		return fail('neighborhoodType out of range', {
 			newNeighborhoodType,
 			max: N_NEIGHBORHOOD_TYPES - 1,
@@ -707,13 +1235,14 @@ function deserializeToSnapshot(buf) {
 	}
 
 	const expectedRulesLength = version >= 3 ? (newIsSemitotalistic ? newNStates : 1) * ruleCount : ruleCount;
-	if (buf.length < off + expectedRulesLength + newNStates)
+	const weightBytes = version >= 9 ? FLOAT_BYTES : 1;
+	if (buf.length < off + expectedRulesLength + newNStates * weightBytes)
 		return fail('buffer too short for rules+weights', {
 			bufLength: buf.length,
 			off,
 			expectedRulesLength,
 			newNStates,
-			need: off + expectedRulesLength + newNStates,
+			need: off + expectedRulesLength + newNStates * weightBytes,
 		});
 
 	const rulesList = [];
@@ -729,12 +1258,30 @@ function deserializeToSnapshot(buf) {
 			rulesList.push(shared);
 		}
 	}
-	const weightScaleForVersion = version === 7 ? V7_WEIGHT_SCALE : WEIGHT_SCALE;
 	const weightsArr = [];
-	for (let i = 0; i < newNStates; i++) weightsArr.push(buf[off++] / weightScaleForVersion);
+	if (version >= 9) {
+		for (let i = 0; i < newNStates; i++) {
+			weightsArr.push(dv.getFloat32(off, true));
+			off += FLOAT_BYTES;
+		}
+		if (!weightsArr.every(Number.isFinite)) return fail('non-finite weight', { weights: weightsArr });
+	} else {
+		const weightScaleForVersion = version === 7 ? V7_WEIGHT_SCALE : WEIGHT_SCALE;
+		for (let i = 0; i < newNStates; i++) weightsArr.push(buf[off++] / weightScaleForVersion);
+	}
 
 	let ringWeightsArr;
-	if (version >= 6) {
+	if (version >= 9) {
+		if (buf.length < off + newNRings * FLOAT_BYTES)
+			return fail('buffer too short for ring weights', { off, newNRings, bufLength: buf.length });
+		ringWeightsArr = [];
+		for (let i = 0; i < newNRings; i++) {
+			ringWeightsArr.push(dv.getFloat32(off, true));
+			off += FLOAT_BYTES;
+		}
+		if (!ringWeightsArr.every(Number.isFinite))
+			return fail('non-finite ring weight', { ringWeights: ringWeightsArr });
+	} else if (version >= 6) {
 		if (buf.length < off + newNRings)
 			return fail('buffer too short for ring weights', { off, newNRings, bufLength: buf.length });
 		ringWeightsArr = [];
@@ -750,12 +1297,106 @@ function deserializeToSnapshot(buf) {
 			return fail('buffer too short for v7 fields', { off, bufLength: buf.length });
 		const transitionTypeByte = buf[off++];
 		const ringWeightPresetIdxByte = buf[off++];
-		newTransitionType = transitionTypeByte < TRANSITION_TYPES.length ? transitionTypeByte : 0;
+		// Generations arrived in v14 and State count in v16; earlier versions read unknown types as Exact sum.
+		const nTransitionTypes = version >= 16 ? TRANSITION_TYPES.length : version >= 14 ? 3 : 2;
+		newTransitionType = transitionTypeByte < nTransitionTypes ? transitionTypeByte : 0;
 		newRingWeightPresetIdx =
 			ringWeightPresetIdxByte < RING_WEIGHT_PRESETS.length ? ringWeightPresetIdxByte : 0;
 	}
+	// Before v9, Euclidean rings weren't stored: v1–4 always used them, v5–8 only for Euclid neighborhoods.
+	let newEuclideanRings = version <= 4;
+	let newCustomRingRadii = false;
+	let newHexGrid = false;
+	let newIsStochastic = false;
+	let newIsColorOrdered = false;
+	let ringInnerRadiiArr;
+	let ringOuterRadiiArr;
+	if (version >= 9) {
+		if (buf.length < off + 1) return fail('buffer too short for v9 flags', { off, bufLength: buf.length });
+		const v9Flags = buf[off++];
+		newEuclideanRings = (v9Flags & V9_FLAG_EUCLIDEAN_RINGS) !== 0;
+		newCustomRingRadii = version >= 10 && (v9Flags & V10_FLAG_CUSTOM_RING_RADII) !== 0;
+		newHexGrid = version >= 12 && (v9Flags & V12_FLAG_HEX_GRID) !== 0;
+		newIsStochastic = version >= 17 && (v9Flags & V17_FLAG_STOCHASTIC_RULES) !== 0;
+		newIsColorOrdered = version >= 19 && (v9Flags & V19_FLAG_COLOR_ORDER) !== 0;
+	}
+	// Before v13 there were five wrap behaviours, and the ones after them were read as Wrap.
+	if (newWrapBehaviour >= (version >= 13 ? N_WRAP_BEHAVIOURS : 5)) newWrapBehaviour = 0;
+	let newBorderState = 0;
+	if (newWrapBehaviour === FIXED_WRAP_BEHAVIOUR) {
+		if (buf.length < off + 1) return fail('buffer too short for border state', { off, bufLength: buf.length });
+		newBorderState = buf[off++];
+		if (newBorderState >= newNStates) return fail('borderState out of range', { newBorderState, newNStates });
+	}
+	let newAliveStateCount = 1;
+	if (newTransitionType === GENERATIONS_TRANSITION_TYPE) {
+		if (buf.length < off + 1) return fail('buffer too short for alive state count', { off, bufLength: buf.length });
+		newAliveStateCount = buf[off++];
+		if (newAliveStateCount < 1 || newAliveStateCount >= newNStates)
+			return fail('aliveStateCount out of range', { newAliveStateCount, newNStates });
+	}
+	let newSumOrderTopK = DEFAULT_SUM_ORDER_TOP_K;
+	if (newTransitionType === 1 && version >= 15) {
+		if (buf.length < off + 1) return fail('buffer too short for sum-order top K', { off, bufLength: buf.length });
+		newSumOrderTopK = buf[off++];
+		if (newSumOrderTopK < 1 || newSumOrderTopK > MAX_SUM_ORDER_TOP_K)
+			return fail('sumOrderTopK out of range', { newSumOrderTopK, max: MAX_SUM_ORDER_TOP_K });
+	}
+	let newTriggerStates;
+	if (newTransitionType === STATE_COUNT_TRANSITION_TYPE) {
+		if (buf.length < off + newNStates)
+			return fail('buffer too short for trigger states', { off, newNStates, bufLength: buf.length });
+		newTriggerStates = Array.from(buf.subarray(off, off + newNStates));
+		off += newNStates;
+		if (newTriggerStates.some(state => state >= newNStates))
+			return fail('trigger state out of range', { newTriggerStates, newNStates });
+	}
+	let newTransitionProbabilities;
+	if (newIsStochastic) {
+		if (buf.length < off + newNStates)
+			return fail('buffer too short for transition probabilities', { off, newNStates, bufLength: buf.length });
+		newTransitionProbabilities = Array.from(buf.subarray(off, off + newNStates), byte => byte / PROBABILITY_SCALE);
+		off += newNStates;
+	}
+	let newGridSeed;
+	if (version >= 18) {
+		if (buf.length < off + GRID_SEED_BYTES) return fail('buffer too short for grid seed', { off, bufLength: buf.length });
+		newGridSeed = dv.getUint32(off, true);
+		off += GRID_SEED_BYTES;
+	}
+	let newColorOrder;
+	if (newIsColorOrdered) {
+		if (buf.length < off + newNStates)
+			return fail('buffer too short for color order', { off, newNStates, bufLength: buf.length });
+		newColorOrder = Array.from(buf.subarray(off, off + newNStates));
+		off += newNStates;
+		if (newColorOrder.some(color => color >= MAX_N_STATES) || new Set(newColorOrder).size !== newNStates)
+			return fail('invalid color order', { newColorOrder });
+	}
+	if (newCustomRingRadii) {
+		if (buf.length < off + newNRings * 2 * FLOAT_BYTES)
+			return fail('buffer too short for ring radii', { off, newNRings, bufLength: buf.length });
+		ringInnerRadiiArr = [];
+		ringOuterRadiiArr = [];
+		for (let i = 0; i < newNRings; i++) {
+			const innerRadius = dv.getFloat32(off, true);
+			const outerRadius = dv.getFloat32(off + FLOAT_BYTES, true);
+			off += 2 * FLOAT_BYTES;
+			if (!isValidRingRadius(innerRadius, outerRadius) || outerRadius > newNeighborRange)
+				return fail('ring radii out of range', { ring: i, innerRadius, outerRadius, newNeighborRange });
+			ringInnerRadiiArr.push(innerRadius);
+			ringOuterRadiiArr.push(outerRadius);
+		}
+	}
+	let customKernel = [];
+	if (newNeighborhoodType === CUSTOM_NEIGHBORHOOD_TYPE) {
+		const kernelResult = deserializeCustomKernel(buf, off, newNeighborRange);
+		if (!kernelResult.ok) return kernelResult;
+		customKernel = kernelResult.customKernel;
+		off = kernelResult.off;
+	}
 	if (newTransitionType === 1) {
-		const expectedRuleCount = getSumOrderRuleCount(newNStates);
+		const expectedRuleCount = getSumOrderRuleCount(newNStates, newSumOrderTopK);
 		if (ruleCount !== expectedRuleCount) {
 			return fail('sum-order ruleCount mismatch', {
 				ruleCount,
@@ -772,8 +1413,9 @@ function deserializeToSnapshot(buf) {
 		cellInertia: newCellInertia,
 		neighborhoodType: newNeighborhoodType,
 		neighborhoodTypeName: NEIGHBORHOOD_TYPES[newNeighborhoodType],
-		wrapBehaviour: newWrapBehaviour < N_WRAP_BEHAVIOURS ? newWrapBehaviour : 0,
-		wrapBehaviourName: WRAP_BEHAVIOURS[newWrapBehaviour < N_WRAP_BEHAVIOURS ? newWrapBehaviour : 0],
+		wrapBehaviour: newWrapBehaviour,
+		wrapBehaviourName: WRAP_BEHAVIOURS[newWrapBehaviour],
+		borderState: newBorderState,
 		nextWeightsIdx: newNextWeightsIdx,
 		isSemitotalistic: newIsSemitotalistic,
 		minNeighborWeight: newMinNeighborWeight,
@@ -785,18 +1427,31 @@ function deserializeToSnapshot(buf) {
 		currentPaletteId: newPaletteId in rawPalettes ? newPaletteId : paletteIds[0],
 		paletteOffset: 0,
 		transitionType: newTransitionType,
+		aliveStateCount: newAliveStateCount,
+		sumOrderTopK: newSumOrderTopK,
 		ringWeightPresetIdx: newRingWeightPresetIdx,
 	};
+	if (newTriggerStates) snapshot.triggerStates = newTriggerStates;
+	if (newTransitionProbabilities) snapshot.transitionProbabilities = newTransitionProbabilities;
+	if (newGridSeed !== undefined) snapshot.gridSeed = newGridSeed;
+	if (newColorOrder) snapshot.colorOrder = newColorOrder;
 	const nColors = rawPalettes[snapshot.currentPaletteId].length;
 	snapshot.paletteOffset = ((newPaletteOffset % nColors) + nColors) % nColors;
-	snapshot.euclideanRings = version <= 4;
+	snapshot.euclideanRings = newEuclideanRings;
+	snapshot.customRingRadii = newCustomRingRadii;
+	snapshot.hexGrid = newHexGrid;
+	snapshot.customKernel = customKernel;
+	if (newCustomRingRadii) {
+		snapshot.ringInnerRadii = ringInnerRadiiArr;
+		snapshot.ringOuterRadii = ringOuterRadiiArr;
+	}
 	return { ok: true, snapshot, ruleCount };
 }
 
 export function packState() {
 	const snapshot = getStateSnapshot();
 	if (snapshot.ruleCount < 1) return null;
-	return serializeSnapshot({ ...snapshot, cellInertia: getCellInertia() });
+	return serializeSnapshot(snapshot);
 }
 
 export function unpackState(buf) {
@@ -812,6 +1467,24 @@ export function encodeState() {
 	return compressToUrl(buf);
 }
 
+/** Encode a snapshot that isn't the live state (e.g. an imported ruleset file) the same way as encodeState(). */
+export function encodeSnapshot(snapshot) {
+	return compressToUrl(serializeSnapshot(snapshot));
+}
+
+/** Decode an encoded state without applying it. Returns { ok: true, snapshot } or { ok: false, reason }. */
+export function decodeSnapshot(encoded) {
+	try {
+		const result = deserializeToSnapshot(decompressFromUrl(encoded));
+		// Fill in derived radii, so the snapshot works with buildNeighborKernel() like a live one.
+		if (result.ok && !result.snapshot.customRingRadii)
+			Object.assign(result.snapshot, getEvenRingRadii(result.snapshot));
+		return result;
+	} catch (err) {
+		return { ok: false, reason: err instanceof Error ? err.message : String(err) };
+	}
+}
+
 export function restoreStateFromUrl(encoded, onApplied) {
 	try {
 		const buf = decompressFromUrl(encoded);
@@ -834,8 +1507,10 @@ export function applyColorsFromPalette() {
 	for (let i = 0; i < MAX_N_STATES; ++i) {
 		const rgbComponents = [...normalizedPalette[i % normalizedPalette.length]];
 		if (i >= normalizedPalette.length) {
+			// Seeded by state, so repeated colors come out the same every time.
+			const jitter = createRandom(i);
 			for (let j = 0; j < rgbComponents.length; ++j) {
-				rgbComponents[j] = Math.max(0, Math.min(1, rgbComponents[j] + Math.random() * 0.1 - 0.05));
+				rgbComponents[j] = Math.max(0, Math.min(1, rgbComponents[j] + jitter() * 0.1 - 0.05));
 			}
 		}
 		const rIdx = i * 3;
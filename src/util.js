@@ -19,18 +19,58 @@ export function hexToNormalizedRGB(hex) {
 }
 
 // Shuffle an array in place.
-export function shuffleArray(array) {
+export function shuffleArray(array, rng = random) {
 	if (array.length <= 1) return;
 	for (let i = array.length - 1; i > 0; --i) {
-		const j = Math.floor(Math.random() * (i + 1));
+		const j = Math.floor(rng() * (i + 1));
 		[array[i], array[j]] = [array[j], array[i]];
 	}
 }
 
+// Seedable PRNG (mulberry32). Returns a function with the same contract as Math.random.
+export function createRandom(seed) {
+	let a = seed >>> 0;
+	return function random() {
+		a = (a + 0x6d2b79f5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// The app's one PRNG, for rules, weights, seeds and so on. It starts from the clock; seedRandom(), called
+// for a ?seed= in the app's URL, makes everything drawn from it afterwards reproducible.
+let sharedRandom = createRandom(Date.now());
+
+/** A number in [0, 1) from the shared PRNG; use it instead of Math.random. */
+export function random() {
+	return sharedRandom();
+}
+
+export function seedRandom(seed) {
+	sharedRandom = createRandom(seed);
+}
+
+/** A random unsigned 32-bit seed for createRandom(). */
+export function randomSeed(rng = random) {
+	return Math.floor(rng() * 4294967296) >>> 0;
+}
+
 export function repeatArrayToLength(array, length) {
 	return Array.from({ length }, (_, i) => array[i % array.length]);
 }
 
+// Show a weight with at most three decimals, e.g. 0.25 rather than float32’s 0.25000000372529.
+export function formatWeight(weight) {
+	return Number.isInteger(weight) ? String(weight) : weight.toFixed(3).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+// Show a probability as a whole percentage, e.g. 40%.
+export function formatProbability(p) {
+	return `${Math.round(p * 100)}%`;
+}
+
 export function binaryFractionToDecimal(binaryFraction) {
 	let decimal = 0;
 	const parts = binaryFraction.split('.');
@@ -130,3 +170,38 @@ export function decompressFromUrl(str) {
 		}
 	}
 }
+
+// Integer hash with good avalanche (lowbias32), on unsigned 32-bit values.
+function lowbias32(x) {
+	x ^= x >>> 16;
+	x = Math.imul(x, 0x7feb352d);
+	x ^= x >>> 15;
+	x = Math.imul(x, 0x846ca68b);
+	x ^= x >>> 16;
+	return x >>> 0;
+}
+
+/**
+ * A number in [0, 1) that depends only on a cell and a frame, so stochastic rules replay identically.
+ * CELL_RANDOM_GLSL is the same function for the update shader.
+ */
+export function cellRandom(x, y, frame) {
+	return (lowbias32((x >>> 0) ^ lowbias32((y >>> 0) ^ lowbias32(frame >>> 0))) >>> 8) / 16777216;
+}
+
+// Explicitly highp: under the update shader's mediump defaults, the hash would lose bits and 2^24 overflows fp16.
+export const CELL_RANDOM_GLSL = `
+highp uint lowbias32(highp uint x) {
+	x ^= x >> 16u;
+	x *= 0x7feb352du;
+	x ^= x >> 15u;
+	x *= 0x846ca68bu;
+	x ^= x >> 16u;
+	return x;
+}
+
+highp float cellRandom(highp ivec2 cell, highp int frame) {
+	highp uint hash = lowbias32(uint(cell.x) ^ lowbias32(uint(cell.y) ^ lowbias32(uint(frame))));
+	return float(hash >> 8u) / 16777216.0;
+}
+`;